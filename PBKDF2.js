@@ -1,4 +1,8 @@
 const crypto = require("crypto");
+const phc = require("./phc");
+const pepper = require("./pepper");
+const logger = require("./logger");
+const { MalformedHashError, UnsupportedAlgorithmError, translate } = require("./errors");
 
 const defaults = {
     /**
@@ -17,10 +21,11 @@ const defaults = {
      * a key of the requested byte length (keylen) from the password, salt and
      * iterations.
      * - sha512, sha256
-     * - whirlpool
-     * and more.
+     * - whirlpool, which OpenSSL 3 (Node 17 and later) no longer provides
+     * and more. It is recorded in the hash, so changing it moves users to the
+     * new digest as they log in.
      */
-    digest: "whirlpool",
+    digest: "sha512",
 
     /**
      * More iterations means an attacker has to take longer to brute force an
@@ -28,10 +33,203 @@ const defaults = {
      * to hash the password. tune so that hashing the password takes about a
      * second.
      */
-    iterations: 777777
+    iterations: 777777,
+
+    /**
+     * Format of the generated hash.
+     * - hex: the versioned blob of salt length, hash length, iterations, digest,
+     *   salt and hash
+     * - phc: a PHC string, $pbkdf2-<digest>$i=<iterations>$<salt>$<hash>
+     * Either format can be compared regardless of this option.
+     */
+    format: "hex",
+
+    /**
+     * Digest of legacy hex blobs, which do not record it. Those blobs have always
+     * been compared with whirlpool; set to the digest they were made with otherwise.
+     */
+    legacyDigest: "whirlpool"
+};
+
+/**
+ * Whether OpenSSL provides a digest. Node reports a missing one, e.g. whirlpool under
+ * OpenSSL 3, without an error code, so it is checked before deriving.
+ * @param {string} digest - Name of the digest.
+ * @return {boolean} true if it is provided.
+ */
+const supported = digest => crypto.getHashes().includes(String(digest).toLowerCase());
+
+/**
+ * The first word of a versioned hex blob: 0x80, "p", "k" and the version in the low byte.
+ * Legacy blobs start with the salt length instead, which never has the high bit set.
+ */
+const magic = 0x80706b00;
+
+/**
+ * The version of the hex blob written by hash.
+ */
+const version = 1;
+
+/**
+ * Size of the header of a versioned hex blob: magic, salt length, hash length,
+ * iterations and digest length, a 32-bit word each.
+ */
+const headerBytes = 20;
+
+/**
+ * Identifiers of PBKDF2 PHC strings; passlib names PBKDF2-SHA1 just pbkdf2.
+ */
+const phcId = /^pbkdf2(?:-[a-z0-9-]+)?$/;
+
+/**
+ * Extract the digest, iterations, salt and hash from a stored hash of any format.
+ * @param {string} stored - Password hash stored in database.
+ * @param {string} legacyDigest - Digest of legacy hex blobs.
+ * @return {{ digest: string, iterations: number, salt: Buffer, hash: Buffer, legacy: boolean }} Decoded hash.
+ */
+const decode = (stored, legacyDigest) => {
+    if (phc.test(stored, phcId)) {
+        /**
+         *  passlib puts the bare iteration count in place of i=<iterations>
+         */
+        let { id, params, salt, hash } = phc.deserialize(
+            stored.replace(/^(\$[a-z0-9-]+\$)(\d+)\$/, "$1i=$2$")
+        );
+        let iterations = +params.i;
+        if (!(iterations > 0)) {
+            throw new MalformedHashError("PBKDF2Processor: Malformed hash");
+        }
+
+        return {
+            digest: id === "pbkdf2" ? "sha1" : id.slice("pbkdf2-".length),
+            iterations,
+            salt,
+            hash,
+            legacy: false
+        };
+    }
+
+    if (
+        typeof stored !== "string" ||
+        stored.length < 16 ||
+        !/^(?:[0-9a-f]{2})+$/i.test(stored)
+    ) {
+        throw new MalformedHashError("PBKDF2Processor: Malformed hash");
+    }
+
+    let buffer = Buffer.from(stored, "hex");
+
+    if (buffer.readUInt32BE(0) >= 0x80000000) {
+        if (
+            buffer.readUInt32BE(0) !== magic + version ||
+            buffer.length < headerBytes
+        ) {
+            throw new MalformedHashError("PBKDF2Processor: Malformed hash");
+        }
+
+        let saltBytes = buffer.readUInt32BE(4);
+        let hashBytes = buffer.readUInt32BE(8);
+        let digestBytes = buffer.readUInt32BE(16);
+        if (headerBytes + digestBytes + saltBytes + hashBytes !== buffer.length) {
+            throw new MalformedHashError("PBKDF2Processor: Malformed hash");
+        }
+
+        let saltStart = headerBytes + digestBytes;
+        return {
+            digest: buffer.toString("ascii", headerBytes, saltStart),
+            iterations: buffer.readUInt32BE(12),
+            salt: buffer.slice(saltStart, saltStart + saltBytes),
+            hash: buffer.slice(saltStart + saltBytes),
+            legacy: false
+        };
+    }
+
+    /**
+     *	Extract the salt and hash from the combined buffer
+     */
+    let saltBytes = buffer.readUInt32BE(0);
+    if (saltBytes + 8 > buffer.length) {
+        throw new MalformedHashError("PBKDF2Processor: Malformed hash");
+    }
+
+    return {
+        digest: legacyDigest,
+        iterations: buffer.readUInt32BE(4),
+        salt: buffer.slice(8, saltBytes + 8),
+        hash: buffer.slice(saltBytes + 8),
+        legacy: true
+    };
 };
 
 module.exports = class PBKDF2Processor {
+    /**
+     * What the processor supports (refer to registry.js).
+     * @return {object} The capabilities.
+     */
+    static get capabilities () {
+        return {
+            needsRehash: true,
+            inspect: true,
+            phc: true,
+            pepper: ["hmac"],
+            backend: "node:crypto"
+        };
+    }
+
+    /**
+     * Whether a stored hash is a PBKDF2 PHC string or hex blob.
+     *
+     * The legacy blob shares its layout with the one of ScryptProcessor. The second word
+     * is the iteration count here, whereas scrypt stores the key length there.
+     * @param {string} stored - Password hash stored in database.
+     * @return {boolean} true if the stored hash decodes as a PBKDF2 hash.
+     */
+    static detect (stored) {
+        if (phc.test(stored, phcId)) {
+            return true;
+        }
+
+        if (
+            typeof stored !== "string" ||
+            stored.length < 18 ||
+            !/^(?:[0-9a-f]{2})+$/i.test(stored)
+        ) {
+            return false;
+        }
+
+        let buffer = Buffer.from(stored, "hex");
+        if (buffer.readUInt32BE(0) === magic + version) {
+            return buffer.length >= headerBytes &&
+                headerBytes + buffer.readUInt32BE(4) + buffer.readUInt32BE(8) + buffer.readUInt32BE(16) === buffer.length;
+        }
+
+        let hashBytes = buffer.length - buffer.readUInt32BE(0) - 8;
+        return hashBytes > 0 && buffer.readUInt32BE(4) !== hashBytes;
+    }
+
+    /**
+     * Decode what is inside a stored hash. Legacy hex blobs do not record the digest; it is left null.
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @return {{ algorithm: string, variant: ?string, format: string, params: object, saltBytes: number, hashBytes: number }} Contents of the hash.
+     */
+    static inspect (stored) {
+        if (!PBKDF2Processor.detect(stored)) {
+            throw new MalformedHashError("PBKDF2Processor: Malformed hash");
+        }
+
+        let { digest, iterations, salt, hash, legacy } = decode(stored, null);
+        return {
+            algorithm: "pbkdf2",
+            variant: digest,
+            format: legacy ? "legacy" : (phc.test(stored, phcId) ? "phc" : "hex"),
+            params: {
+                iterations
+            },
+            saltBytes: salt.length,
+            hashBytes: hash.length
+        };
+    }
+
     /**
      * Create a bcryptLoginProcessor instance by options supplied.
      * @param {object} [options] - Optional options unique for PBKDF2; resort to default if not supplied.
@@ -39,10 +237,16 @@ module.exports = class PBKDF2Processor {
      * @param {number} [options.saltBytes] -
      * @param {string} [options.digest] -
      * @param {number} [options.iterations] -
+     * @param {string} [options.format] - Format of the generated hash, hex or phc
+     * @param {object} [options.pepper] - Pepper keyring (refer to pepper.js); hmac mode only
+     * @param {string} [options.legacyDigest] - Digest of legacy hex blobs, which do not record it
+     * @param {object} [options.logger] - Logger of failures (refer to logger.js); nothing is logged if not supplied
      */
     constructor (options) {
+        this.logger = logger.from(options && options.logger);
         if (options && typeof options === "object"){
             this.options = Object.assign({}, defaults, options);
+            delete this.options.logger;
         } else {
             this.options = defaults;
         }
@@ -53,7 +257,7 @@ module.exports = class PBKDF2Processor {
      *
      * @promise PaswordHashingPromise
      * @fulfill {string} The hashed password.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} Error of hashing, with the error of the hashing function as cause (refer to errors.js).
      *
      * Hash a password by the options supplied.
      * @param {!string} password - Password.
@@ -66,11 +270,19 @@ module.exports = class PBKDF2Processor {
     ) {
         let temporalOptions = this.options;
         if (options && typeof options === "object"){
-            temporalOptions = Object.assign(Object.assign({}, defaults), options);
+            temporalOptions = Object.assign({}, this.options, options);
         }
 
         return new Promise(
             async (resolve, reject) => {
+                let peppered;
+                try {
+                    peppered = pepper.apply(password, temporalOptions.pepper);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
                 let salt;
                 try {
                     salt = await new Promise(
@@ -87,51 +299,86 @@ module.exports = class PBKDF2Processor {
                         }
                     )
                 } catch (e) {
-                    console.error(e);
-                    reject(e);
+                    this.logger.error("PBKDF2Processor: Generating salt failed", { error: e });
+                    reject(translate(e, "PBKDF2Processor", "Generating salt failed"));
+                    return;
                 }
 
                 let hashed;
                 try {
+                    if (!supported(temporalOptions.digest)) {
+                        throw new UnsupportedAlgorithmError(`PBKDF2Processor: Unsupported digest ${ temporalOptions.digest }`);
+                    }
                     hashed = await new Promise(
                         (resolve, reject) => {
                             crypto.pbkdf2(
-                                password,
+                                peppered.password,
                                 salt,
                                 temporalOptions.iterations,
                                 temporalOptions.hashBytes,
                                 temporalOptions.digest,
                                 (e, hash) => {
                                     if (e) {
-                                        reject(e)
+                                        reject(e);
+                                        return;
                                     }
 
-                                    let combined = Buffer.alloc(hash.length + salt.length + 8);
+                                    if (temporalOptions.format === "phc") {
+                                        resolve(
+                                            phc.serialize({
+                                                id: `pbkdf2-${ temporalOptions.digest.toLowerCase() }`,
+                                                params: { i: temporalOptions.iterations },
+                                                salt,
+                                                hash
+                                            })
+                                        );
+                                        return;
+                                    }
+
+                                    let digest = Buffer.from(temporalOptions.digest.toLowerCase(), "ascii");
+                                    let combined = Buffer.alloc(hash.length + salt.length + digest.length + headerBytes);
+
+                                    /**
+                                     *  The version is included so that the layout of the blob can change
+                                     */
+                                    combined.writeUInt32BE(magic + version, 0);
 
                                     /**
                                      *  The size of the salt is also included so that we can figure out
                                      *  how long the salt is in the hash during verification
                                      */
-                                    combined.writeUInt32BE(salt.length, 0, true);
+                                    combined.writeUInt32BE(salt.length, 4);
+                                    combined.writeUInt32BE(hash.length, 8);
 
                                     /**
-                                     * Similarly, iteration count is included
+                                     * Similarly, iteration count and digest are included
                                      */
-                                    combined.writeUInt32BE(temporalOptions.iterations, 4, true);
+                                    combined.writeUInt32BE(temporalOptions.iterations, 12);
+                                    combined.writeUInt32BE(digest.length, 16);
 
-                                    salt.copy(combined, 8);
-                                    hash.copy(combined, salt.length + 8);
+                                    digest.copy(combined, headerBytes);
+                                    salt.copy(combined, headerBytes + digest.length);
+                                    hash.copy(combined, headerBytes + digest.length + salt.length);
                                     resolve(combined.toString("hex"));
                                 }
                             );
                         }
                     );
                 } catch (e) {
-                    console.error(e);
+                    this.logger.error("PBKDF2Processor: Hashing failed", { error: e });
+                    reject(translate(e, "PBKDF2Processor", "Hashing failed"));
+                    return;
+                }
+
+                let wrapped;
+                try {
+                    wrapped = pepper.wrap(hashed, peppered.id);
+                } catch (e) {
                     reject(e);
+                    return;
                 }
 
-                resolve(hashed);
+                resolve(wrapped);
             }
         );
     };
@@ -141,44 +388,87 @@ module.exports = class PBKDF2Processor {
      *
      * @promise IncomingPasswordHashComparePromise
      * @fulfill {boolean} Whether the incoming plain password and the hash is a match.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} MalformedHashError if the stored hash cannot be decoded, or error of comparing, with the error of the hashing function as cause (refer to errors.js).
      *
-     * Compare an incoming password with the stored password hash.
+     * Compare an incoming password with the stored password hash, by the digest and
+     * iterations recorded in it. Legacy hex blobs are compared by options.legacyDigest.
      * @param {string} incoming - Incoming password.
      * @param {string} stored - Password hash stored in database.
      * @return {IncomingPasswordHashComparePromise} A promise for comparing an incoming plain password with a hash
      */
     compare (incoming, stored) {
-        return new Promise((resolve, reject) => {
-            let buffer = Buffer.from(stored, "hex");
-
-            /**
-             *	Extract the salt and hash from the combined buffer
-             */
-            let saltBytes = buffer.readUInt32BE(0);
-            let salt = buffer.slice(8, saltBytes + 8);
-
-            let hashBytes = buffer.length - saltBytes - 8;
-            let iterations = buffer.readUInt32BE(4);
-            let hash = buffer.toString("binary", saltBytes + 8);
-            let digest = defaults.digest;
-
-            /**
-             *	verify the salt and hash against the password
-             */
-            crypto.pbkdf2(
-                incoming,
-                salt,
-                iterations,
-                hashBytes,
-                digest,
-                function (e, verify) {
-                    if (e) {
-                        reject(e);
+        return new Promise(
+            async (resolve, reject) => {
+                let decoded;
+                let prepared;
+                try {
+                    prepared = pepper.prepare(incoming, stored, this.options.pepper);
+                    decoded = decode(prepared.stored, this.options.legacyDigest);
+                    if (decoded.hash.length === 0) {
+                        throw new MalformedHashError("PBKDF2Processor: Malformed hash");
+                    }
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                let { digest, iterations, salt, hash } = decoded;
+                let verify;
+                try {
+                    if (!supported(digest)) {
+                        throw new UnsupportedAlgorithmError(`PBKDF2Processor: Unsupported digest ${ digest }`);
                     }
-                    resolve(verify.toString("binary") === hash);
+                    /**
+                     *	verify the salt and hash against the password
+                     */
+                    verify = await new Promise(
+                        (resolve, reject) => {
+                            crypto.pbkdf2(
+                                prepared.incoming,
+                                salt,
+                                iterations,
+                                hash.length,
+                                digest,
+                                (e, verify) => e ? reject(e) : resolve(verify)
+                            );
+                        }
+                    );
+                } catch (e) {
+                    this.logger.error("PBKDF2Processor: Comparing failed", { error: e });
+                    reject(translate(e, "PBKDF2Processor", "Comparing failed"));
+                    return;
                 }
-            );
-        });
+
+                resolve(crypto.timingSafeEqual(verify, hash));
+            }
+        );
+    }
+
+    /**
+     * Whether a stored hash was made with another digest, fewer iterations, a shorter
+     * salt, a shorter output or another pepper key than currently configured.
+     *
+     * Legacy hex blobs always need rehashing, as they do not record the digest.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @return {boolean} true if the password should be hashed again.
+     */
+    needsRehash (
+        stored,
+        options
+    ) {
+        let temporalOptions = this.options;
+        if (options && typeof options === "object"){
+            temporalOptions = Object.assign({}, this.options, options);
+        }
+
+        let { digest, iterations, salt, hash, legacy } = decode(pepper.unwrap(stored).stored, temporalOptions.legacyDigest);
+
+        return pepper.needsRotation(stored, temporalOptions.pepper) ||
+            legacy ||
+            digest !== temporalOptions.digest.toLowerCase() ||
+            iterations < temporalOptions.iterations ||
+            salt.length < temporalOptions.saltBytes ||
+            hash.length < temporalOptions.hashBytes;
     }
 };
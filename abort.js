@@ -0,0 +1,101 @@
+const { AbortedError, ConfigurationError } = require("./errors");
+
+/**
+ * Cancellation of hash and compare, by an AbortSignal or a timeout.
+ *
+ * Work waiting for a slot of a pool is dropped when it is aborted. Work already running
+ * on the threadpool of libuv cannot be interrupted by any of the backends: its promise
+ * rejects at once, while the work runs to its end, and keeps its slot until then so that
+ * the pool still bounds the threads in use.
+ */
+
+module.exports = {
+    /**
+     * Watch a signal and a timeout.
+     * @param {object} [options] - Options of hash or compare.
+     * @param {AbortSignal} [options.signal] - Signal aborting the operation.
+     * @param {number} [options.timeoutMs] - Most milliseconds the operation may take.
+     * @return {?{ signal: AbortSignal, dispose: function() }} A signal aborted with an AbortedError once either
+     * fires, and a function to stop watching; null if neither is supplied.
+     */
+    watch (options) {
+        let { signal, timeoutMs } = options || {};
+        if (!signal && timeoutMs === undefined) {
+            return null;
+        }
+        if (signal && typeof signal.addEventListener !== "function") {
+            throw new ConfigurationError("Abort: signal must be an AbortSignal");
+        }
+        if (timeoutMs !== undefined && !(timeoutMs > 0)) {
+            throw new ConfigurationError("Abort: timeoutMs must be positive");
+        }
+
+        let controller = new AbortController();
+        let onAbort = () => controller.abort(
+            signal.reason instanceof AbortedError ?
+                signal.reason :
+                new AbortedError("Abort: Operation aborted", { timedOut: false, cause: signal.reason })
+        );
+        if (signal && signal.aborted) {
+            onAbort();
+        } else if (signal) {
+            signal.addEventListener("abort", onAbort, { once: true });
+        }
+
+        let timer = null;
+        if (timeoutMs !== undefined && !controller.signal.aborted) {
+            timer = setTimeout(
+                () => controller.abort(
+                    new AbortedError(`Abort: Operation timed out after ${ timeoutMs } ms`, { timedOut: true, timeoutMs })
+                ),
+                timeoutMs
+            );
+            timer.unref();
+        }
+
+        return {
+            signal: controller.signal,
+            dispose: () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            }
+        };
+    },
+
+    /**
+     * A promise for the result of a task, rejected with the reason of the signal once it aborts.
+     * The task is not started if the signal has aborted already.
+     * @param {function(): Promise} task - Task.
+     * @param {?AbortSignal} [signal] - Signal.
+     * @return {Promise} A promise for the result of the task.
+     */
+    run (task, signal) {
+        if (!signal) {
+            return task();
+        }
+
+        return new Promise(
+            (resolve, reject) => {
+                if (signal.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+
+                let onAbort = () => reject(signal.reason);
+                signal.addEventListener("abort", onAbort, { once: true });
+                Promise.resolve().then(task).then(
+                    result => {
+                        signal.removeEventListener("abort", onAbort);
+                        resolve(result);
+                    },
+                    e => {
+                        signal.removeEventListener("abort", onAbort);
+                        reject(e);
+                    }
+                );
+            }
+        );
+    }
+};
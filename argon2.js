@@ -1,6 +1,61 @@
-const argon2 = require("argon2");
+const backends = require("./backends");
+const format = require("./argon2format");
+const pepper = require("./pepper");
+const logger = require("./logger");
+const { MalformedHashError, translate } = require("./errors");
+
+/**
+ * The argon2 package, or crypto.argon2 of Node where its binding fails to load (refer to backends.js).
+ */
+const { name: backend, library: argon2 } = backends.load("argon2");
+
+const types = {
+    argon2d: argon2.argon2d,
+    argon2i: argon2.argon2i,
+    argon2id: argon2.argon2id
+};
 
 module.exports = class Argon2Processor {
+    /**
+     * Type constants of the variants, of the backend loaded, to be given as options.type.
+     * @return {{ argon2d: number, argon2i: number, argon2id: number }} The constants.
+     */
+    static get types () {
+        return Object.assign({}, types);
+    }
+
+    /**
+     * What the processor supports (refer to registry.js).
+     * @return {object} The capabilities.
+     */
+    static get capabilities () {
+        return {
+            needsRehash: true,
+            inspect: true,
+            phc: true,
+            pepper: ["hmac", "secret"],
+            backend
+        };
+    }
+
+    /**
+     * Whether a stored hash was produced by Argon2 (refer to argon2format.js).
+     * @param {string} stored - Password hash stored in database.
+     * @return {boolean} true for $argon2id$, $argon2i$ and $argon2d$ PHC strings.
+     */
+    static detect (stored) {
+        return format.detect(stored);
+    }
+
+    /**
+     * Decode what is inside a stored hash (refer to argon2format.js).
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @return {{ algorithm: string, variant: string, format: string, params: object, saltBytes: number, hashBytes: number }} Contents of the hash.
+     */
+    static inspect (stored) {
+        return format.inspect(stored);
+    }
+
     /**
      * Create a bcryptLoginProcessor instance by options supplied.
      * @param {object} [options] - Optional options unique for Argon2; resort to default if not supplied.
@@ -9,15 +64,19 @@ module.exports = class Argon2Processor {
      * @param {number} [options.parallelism] - Parallelism degree (refer to Argon2 repo: https://github.com/P-H-C/phc-winner-argon2)
      * @param {number} [options.type] - Argon2 variant (refer to Argon2 repo: https://github.com/P-H-C/phc-winner-argon2)
      * @param {boolean} [options.raw] - get the hash as a raw Node Buffer when true
+     * @param {object} [options.pepper] - Pepper keyring (refer to pepper.js); mode secret uses the native secret input of Argon2
+     * @param {object} [options.logger] - Logger of failures (refer to logger.js); nothing is logged if not supplied
      */
     constructor (
         options
     ) {
+        this.logger = logger.from(options && options.logger);
         if (
             options &&
             typeof options === "object"
         ) {
             this.options = Object.assign({}, argon2.defaults, options);
+            delete this.options.logger;
         } else {
             this.options = argon2.defaults;
         }
@@ -28,7 +87,7 @@ module.exports = class Argon2Processor {
      *
      * @promise PaswordHashingPromise
      * @fulfill {string} The hashed password.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} Error of hashing, with the error of the hashing function as cause (refer to errors.js).
      *
      * Hash a password by the options supplied.
      * @param {string} password - Password.
@@ -45,10 +104,34 @@ module.exports = class Argon2Processor {
             options &&
             typeof options === "object"
         ) {
-            temporalOptions = options;
+            temporalOptions = Object.assign({}, this.options, options);
+        }
+
+        let failed = (e) => {
+            this.logger.error("Argon2Processor: Hashing failed", { error: e });
+            throw translate(e, "Argon2Processor", "Hashing failed");
+        };
+
+        let { pepper: keyring, ...hashOptions } = temporalOptions;
+        if (!keyring) {
+            return argon2.hash(password, hashOptions).catch(failed);
+        }
+
+        let mode = keyring.mode || "hmac";
+        try {
+            if (mode === "secret") {
+                hashOptions.secret = pepper.key(keyring, pepper.current(keyring));
+            } else {
+                password = pepper.apply(password, keyring).password;
+            }
+        } catch (e) {
+            return Promise.reject(e);
         }
 
-        return argon2.hash(password, temporalOptions);
+        return argon2.hash(password, hashOptions).then(
+            hashed => typeof hashed === "string" ? pepper.wrap(hashed, keyring.current, mode) : hashed,
+            failed
+        );
     }
 
     /**
@@ -56,50 +139,88 @@ module.exports = class Argon2Processor {
      *
      * @promise IncomingPasswordHashComparePromise
      * @fulfill {boolean} Whether the incoming plain password and the hash is a match.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} MalformedHashError if the stored hash cannot be decoded, or error of comparing, with the error of the hashing function as cause (refer to errors.js).
      *
      * Compare an incoming password with the stored password hash.
      * @param {string} incoming - Incoming password.
      * @param {string} stored - Password hash stored in database.
-     * @param {object} [options] - Optional options that overrides options supplied at constructor.
      * @return {IncomingPasswordHashComparePromise} A promise for comparing an incoming plain password with a hash
      */
     compare (
         incoming,
-        stored,
-        options
+        stored
     ) {
         return new Promise(
             async (resolve, reject) => {
-                let result;
+                let { id, mode, stored: inner } = pepper.unwrap(stored);
+                let verify;
                 try {
-                    result = await argon2.verify(stored, incoming);
+                    if (!Argon2Processor.detect(inner)) {
+                        throw new MalformedHashError("Argon2Processor: Malformed hash");
+                    }
+
+                    if (mode === "secret") {
+                        let secret = pepper.key(this.options.pepper, id);
+                        verify = () => argon2.verify(inner, incoming, { secret });
+                    } else {
+                        let prepared = pepper.prepare(incoming, stored, this.options.pepper);
+                        verify = () => argon2.verify(prepared.stored, prepared.incoming);
+                    }
                 } catch (e) {
-                    console.error(e);
                     reject(e);
                     return;
                 }
 
-                /*if (result) {
-                    // check if rehashing is needed
-                    let temporalOptions = this.options;
-
-                    if (
-                        options &&
-                        typeof options === "object"
-                    ) {
-                        temporalOptions = options;
-                    }
-
-                    if (argon2.needsRehash(stored, temporalOptions)) {
-
-                    }
-                }*/
+                let result;
+                try {
+                    result = await verify();
+                } catch (e) {
+                    this.logger.error("Argon2Processor: Comparing failed", { error: e });
+                    reject(translate(e, "Argon2Processor", "Comparing failed"));
+                    return;
+                }
 
                 resolve(result);
             }
         );
     }
 
+    /**
+     * Whether a stored hash was made with an older Argon2 version, another variant,
+     * a lower time or memory cost, or another pepper key than currently configured.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @return {boolean} true if the password should be hashed again.
+     */
+    needsRehash (
+        stored,
+        options
+    ) {
+        let temporalOptions = this.options;
+
+        if (
+            options &&
+            typeof options === "object"
+        ) {
+            temporalOptions = Object.assign({}, this.options, options);
+        }
+
+        if (pepper.needsRotation(stored, temporalOptions.pepper)) {
+            return true;
+        }
+
+        let matched = /^\$(argon2(?:id|i|d))\$(?:v=(\d+)\$)?m=(\d+),t=(\d+),p=(\d+)(?:,[^$]*)?\$/.exec(
+            pepper.unwrap(stored).stored
+        );
+        if (!matched) {
+            throw new MalformedHashError("Argon2Processor: Malformed hash");
+        }
+
+        let [, variant, version = 0x10, memoryCost, timeCost] = matched;
+        return types[variant] !== temporalOptions.type ||
+            +version < temporalOptions.version ||
+            +memoryCost < temporalOptions.memoryCost ||
+            +timeCost < temporalOptions.timeCost;
+    }
 
 };
@@ -0,0 +1,45 @@
+const { MalformedHashError } = require("./errors");
+
+/**
+ * The format of Argon2 hashes, $argon2id$v=19$m=<memoryCost>,t=<timeCost>,p=<parallelism>$<salt>$<hash>,
+ * told apart and decoded without the backend (refer to backends.js), so that hashes can be
+ * detected and inspected on a host where it is unavailable.
+ */
+
+module.exports = {
+    /**
+     * Whether a stored hash was produced by Argon2.
+     * @param {string} stored - Password hash stored in database.
+     * @return {boolean} true for $argon2id$, $argon2i$ and $argon2d$ PHC strings.
+     */
+    detect (stored) {
+        return typeof stored === "string" && /^\$argon2(?:id|i|d)\$/.test(stored);
+    },
+
+    /**
+     * Decode what is inside a stored hash.
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @return {{ algorithm: string, variant: string, format: string, params: object, saltBytes: number, hashBytes: number }} Contents of the hash.
+     */
+    inspect (stored) {
+        let matched = /^\$(argon2(?:id|i|d))\$(?:v=(\d+)\$)?m=(\d+),t=(\d+),p=(\d+)(?:,[^$]*)?\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/.exec(stored);
+        if (!matched) {
+            throw new MalformedHashError("Argon2Processor: Malformed hash");
+        }
+
+        let [, variant, version = 0x10, memoryCost, timeCost, parallelism, salt, hash] = matched;
+        return {
+            algorithm: "argon2",
+            variant,
+            format: "phc",
+            params: {
+                version: +version,
+                memoryCost: +memoryCost,
+                timeCost: +timeCost,
+                parallelism: +parallelism
+            },
+            saltBytes: Buffer.from(salt, "base64").length,
+            hashBytes: Buffer.from(hash, "base64").length
+        };
+    }
+};
@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const { BackendUnavailableError, MalformedHashError, UnsupportedAlgorithmError } = require("./errors");
+
+/**
+ * Backends of the algorithms with native bindings.
+ *
+ * The bindings of argon2 and bcrypt come as prebuilt binaries, which may be missing
+ * for the platform or the version of Node. A binding that fails to load is replaced
+ * by a built-in implementation with the same interface, whose hashes are byte for
+ * byte the same: crypto.argon2 of Node (24.7 and later) for Argon2, and bcryptjs,
+ * in plain JavaScript, for bcrypt.
+ */
+
+/**
+ * Names of the Argon2 variants, by the type constants of the argon2 package.
+ */
+const types = ["argon2d", "argon2i", "argon2id"];
+
+/**
+ * Bounds of the parameters, as the argon2 package checks them: ARGON2_MIN_OUTLEN, ARGON2_MIN_MEMORY,
+ * ARGON2_MIN_TIME and ARGON2_MIN_LANES of the reference implementation, and their maxima on 64-bit.
+ */
+const limits = {
+    hashLength: { min: 4, max: 2 ** 32 - 1 },
+    memoryCost: { min: 8, max: 2 ** 32 - 1 },
+    timeCost: { min: 1, max: 2 ** 32 - 1 },
+    parallelism: { min: 1, max: 2 ** 24 - 1 }
+};
+
+const encode = buffer => buffer.toString("base64").replace(/=+$/, "");
+
+/**
+ * Derive an Argon2 hash by crypto.argon2.
+ * @param {Buffer} password - Password.
+ * @param {Buffer} salt - Salt.
+ * @param {object} options - type, version, hashLength, memoryCost, timeCost, parallelism, and optionally secret and associatedData.
+ * @return {Promise<Buffer>} A promise for the hash.
+ */
+const derive = (password, salt, options) => new Promise(
+    (resolve, reject) => {
+        if (+options.version !== 0x13) {
+            reject(new UnsupportedAlgorithmError(`Backends: Argon2 version ${ options.version } is not supported by node:crypto`));
+            return;
+        }
+        if (!types[options.type]) {
+            reject(new UnsupportedAlgorithmError("Backends: Unknown Argon2 type"));
+            return;
+        }
+
+        let parameters = {
+            message: password,
+            nonce: salt,
+            parallelism: options.parallelism,
+            tagLength: options.hashLength,
+            memory: options.memoryCost,
+            passes: options.timeCost
+        };
+        if (options.secret) {
+            parameters.secret = options.secret;
+        }
+        if (options.associatedData) {
+            parameters.associatedData = options.associatedData;
+        }
+
+        crypto.argon2(types[options.type], parameters, (e, hash) => e ? reject(e) : resolve(hash));
+    }
+);
+
+/**
+ * The subset of the interface of the argon2 package that Argon2Processor uses, on crypto.argon2.
+ */
+const nodeArgon2 = {
+    argon2d: 0,
+    argon2i: 1,
+    argon2id: 2,
+
+    defaults: Object.freeze({
+        hashLength: 32,
+        saltLength: 16,
+        timeCost: 3,
+        memoryCost: 1 << 12,
+        parallelism: 1,
+        type: 1,
+        version: 0x13
+    }),
+
+    async hash (plain, { raw, salt, ...options } = {}) {
+        options = Object.assign({}, nodeArgon2.defaults, options);
+
+        Object.keys(limits).forEach(
+            key => {
+                let { min, max } = limits[key];
+                if (!(min <= options[key] && options[key] <= max)) {
+                    throw new RangeError(`Invalid ${ key }, must be between ${ min } and ${ max }.`);
+                }
+            }
+        );
+
+        salt = salt || crypto.randomBytes(options.saltLength);
+        let hash = await derive(Buffer.from(plain), salt, options);
+        if (raw) {
+            return hash;
+        }
+
+        let params = `m=${ options.memoryCost },t=${ options.timeCost },p=${ options.parallelism }`;
+        if (options.associatedData) {
+            params += `,data=${ encode(options.associatedData) }`;
+        }
+        return `$${ types[options.type] }$v=${ options.version }$${ params }$${ encode(salt) }$${ encode(hash) }`;
+    },
+
+    async verify (digest, plain, options) {
+        let matched = /^\$(argon2(?:id|i|d))\$(?:v=(\d+)\$)?([^$]+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/.exec(digest);
+        if (!matched) {
+            throw new MalformedHashError("Backends: Malformed Argon2 hash");
+        }
+
+        let [, id, version = 0x10, pairs, salt, hash] = matched;
+        let params = {};
+        pairs.split(",").forEach(
+            pair => {
+                let [key, value] = pair.split("=");
+                params[key] = value;
+            }
+        );
+        hash = Buffer.from(hash, "base64");
+
+        let derived = await derive(
+            Buffer.from(plain),
+            Buffer.from(salt, "base64"),
+            Object.assign({}, options, {
+                type: types.indexOf(id),
+                version: +version,
+                hashLength: hash.length,
+                memoryCost: +params.m,
+                timeCost: +params.t,
+                parallelism: +params.p
+            }, params.data ? { associatedData: Buffer.from(params.data, "base64") } : {})
+        );
+        return crypto.timingSafeEqual(derived, hash);
+    }
+};
+
+/**
+ * Candidate backends of each algorithm, in order of preference.
+ */
+const candidates = {
+    argon2: [
+        {
+            name: "argon2",
+            load: () => require("argon2")
+        },
+        {
+            name: "node:crypto",
+            load: () => {
+                if (typeof crypto.argon2 !== "function") {
+                    throw new BackendUnavailableError("Backends: crypto.argon2 needs Node 24.7 or later");
+                }
+                return nodeArgon2;
+            }
+        }
+    ],
+    bcrypt: [
+        {
+            name: "bcrypt",
+            load: () => require("bcrypt")
+        },
+        {
+            name: "bcryptjs",
+            load: () => require("bcryptjs")
+        }
+    ]
+};
+
+module.exports = {
+    /**
+     * Load the first available backend of an algorithm.
+     * @param {string} algorithm - argon2 or bcrypt.
+     * @return {{ name: string, library: object }} Name of the backend, and the library, with the interface of the native one.
+     * Throws BackendUnavailableError if none of the backends loads, with the error of each in causes.
+     */
+    load (algorithm) {
+        let causes = [];
+        for (let { name, load } of candidates[algorithm]) {
+            try {
+                return { name, library: load() };
+            } catch (e) {
+                causes.push(e);
+            }
+        }
+
+        throw new BackendUnavailableError(`Backends: No backend of ${ algorithm } is available`, { cause: causes[0], causes });
+    }
+};
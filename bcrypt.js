@@ -1,22 +1,111 @@
-const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const backends = require("./backends");
+const pepper = require("./pepper");
+const logger = require("./logger");
+const { MalformedHashError, PasswordRejectedError, translate } = require("./errors");
+
+/**
+ * The bcrypt package, or bcryptjs where its binding fails to load (refer to backends.js).
+ */
+const { name: backend, library: bcrypt } = backends.load("bcrypt");
+
+const defaults = {
+    /**
+     * The cost of processing the data. For details, refer to https://github.com/kelektiv/node.bcrypt.js#a-note-on-rounds
+     */
+    saltRounds: 10,
+
+    /**
+     * bcrypt reads no more than 72 bytes of a password.
+     * - truncate: the bytes after are ignored, as bcrypt itself does
+     * - reject: hashing a longer password is rejected
+     * - prehash: every password is pre-hashed by HMAC-SHA-384 keyed with the salt,
+     *   and the hash is marked as $bcrypt-sha384$<bcrypt hash>
+     * Hashes are compared as they were made regardless of this option.
+     */
+    longPasswords: "truncate"
+};
+
+/**
+ * Marker of hashes of pre-hashed passwords.
+ */
+const prehashMarker = "$bcrypt-sha384$";
+
+/**
+ * Pre-hash a password. Keying with the salt of the bcrypt hash keeps the pre-hash
+ * from being looked up on its own, e.g. in a leaked table of unsalted SHA-384.
+ * @param {string} password - Password.
+ * @param {string} salt - bcrypt salt or hash, $2b$<rounds>$<salt>...
+ * @return {string} Base64 of the pre-hash, 64 bytes and free of NUL.
+ */
+const prehash = (password, salt) => crypto
+    .createHmac("sha384", salt.slice(7, 29))
+    .update(password)
+    .digest("base64");
 
 module.exports = class BcryptProcessor {
+    /**
+     * What the processor supports (refer to registry.js).
+     * @return {object} The capabilities.
+     */
+    static get capabilities () {
+        return {
+            needsRehash: true,
+            inspect: true,
+            phc: false,
+            pepper: ["hmac"],
+            backend
+        };
+    }
+
+    /**
+     * Whether a stored hash was produced by bcrypt.
+     * @param {string} stored - Password hash stored in database.
+     * @return {boolean} true for $2a$ and $2b$ modular crypt strings, pre-hashed or not.
+     */
+    static detect (stored) {
+        return typeof stored === "string" && /^(?:\$bcrypt-sha384\$)?\$2[ab]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(stored);
+    }
+
+    /**
+     * Decode what is inside a stored hash.
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @return {{ algorithm: string, variant: string, format: string, params: object, saltBytes: number, hashBytes: number }} Contents of the hash.
+     */
+    static inspect (stored) {
+        if (!BcryptProcessor.detect(stored)) {
+            throw new MalformedHashError("BcryptProcessor: Malformed hash");
+        }
+
+        let prehashed = stored.startsWith(prehashMarker);
+        let inner = prehashed ? stored.slice(prehashMarker.length) : stored;
+        return {
+            algorithm: "bcrypt",
+            variant: inner.slice(1, 3),
+            format: prehashed ? "prehash" : "mcf",
+            params: {
+                saltRounds: +inner.slice(4, 6)
+            },
+            saltBytes: 16,
+            hashBytes: 23
+        };
+    }
+
     /**
      * Create a bcryptLoginProcessor instance by options supplied.
      * @param {object} [options] - Optional options unique for bcrypt; resort to default if not supplied.
      * @param {number} [options.saltRounds] - The cost of processing the data. For details, refer to https://github.com/kelektiv/node.bcrypt.js#a-note-on-rounds
+     * @param {object} [options.pepper] - Pepper keyring (refer to pepper.js); hmac mode only
+     * @param {string} [options.longPasswords] - Handling of passwords longer than 72 bytes: truncate, reject or prehash
+     * @param {object} [options.logger] - Logger of failures (refer to logger.js); nothing is logged if not supplied
      */
     constructor (options) {
-        if (
-            !!options &&
-            typeof options === "object" &&
-            options.hasOwnProperty("saltRounds")
-        ){
-            this.options = options;
-        }else{
-            this.options = {
-                saltRounds: 10
-            };
+        this.logger = logger.from(options && options.logger);
+        if (options && typeof options === "object"){
+            this.options = Object.assign({}, defaults, options);
+            delete this.options.logger;
+        } else {
+            this.options = defaults;
         }
     }
 
@@ -25,7 +114,7 @@ module.exports = class BcryptProcessor {
      *
      * @promise PaswordHashingPromise
      * @fulfill {string} The hashed password.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} Error of hashing, with the error of the hashing function as cause (refer to errors.js).
      *
      * Hash a password by the options supplied.
      * @param {string} password - Password.
@@ -34,8 +123,40 @@ module.exports = class BcryptProcessor {
      */
     hash (password, options) {
         let temporalOptions = this.options;
-        if (!!options && typeof options === "object" && options.hasOwnProperty("saltRounds")) temporalOptions = options;
-        return bcrypt.hash(password, temporalOptions.saltRounds);
+        if (options && typeof options === "object") temporalOptions = Object.assign({}, this.options, options);
+
+        let peppered;
+        try {
+            peppered = pepper.apply(password, temporalOptions.pepper);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        let failed = (e) => {
+            this.logger.error("BcryptProcessor: Hashing failed", { error: e });
+            throw translate(e, "BcryptProcessor", "Hashing failed");
+        };
+
+        if (temporalOptions.longPasswords === "prehash") {
+            return bcrypt.genSalt(temporalOptions.saltRounds).then(
+                salt => bcrypt.hash(prehash(peppered.password, salt), salt)
+            ).then(
+                hashed => pepper.wrap(prehashMarker + hashed, peppered.id),
+                failed
+            );
+        }
+
+        if (
+            temporalOptions.longPasswords === "reject" &&
+            Buffer.byteLength(peppered.password) > 72
+        ) {
+            return Promise.reject(new PasswordRejectedError("BcryptProcessor: Password longer than 72 bytes"));
+        }
+
+        return bcrypt.hash(peppered.password, temporalOptions.saltRounds).then(
+            hashed => pepper.wrap(hashed, peppered.id),
+            failed
+        );
     }
 
     /**
@@ -43,7 +164,7 @@ module.exports = class BcryptProcessor {
      *
      * @promise IncomingPasswordHashComparePromise
      * @fulfill {boolean} Whether the incoming plain password and the hash is a match.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} MalformedHashError if the stored hash is not a bcrypt hash, or error of comparing, with the error of the hashing function as cause (refer to errors.js).
      *
      * Compare an incoming password with the stored password hash.
      * @param {string} incoming - Incoming password.
@@ -51,6 +172,52 @@ module.exports = class BcryptProcessor {
      * @return {IncomingPasswordHashComparePromise} A promise for comparing an incoming plain password with a hash
      */
     compare (incoming, stored) {
-        return bcrypt.compare(incoming, stored);
+        let prepared;
+        try {
+            prepared = pepper.prepare(incoming, stored, this.options.pepper);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        if (!BcryptProcessor.detect(prepared.stored)) {
+            return Promise.reject(new MalformedHashError("BcryptProcessor: Malformed hash"));
+        }
+
+        let failed = (e) => {
+            this.logger.error("BcryptProcessor: Comparing failed", { error: e });
+            throw translate(e, "BcryptProcessor", "Comparing failed");
+        };
+
+        if (prepared.stored.startsWith(prehashMarker)) {
+            let inner = prepared.stored.slice(prehashMarker.length);
+            return bcrypt.compare(prehash(prepared.incoming, inner), inner).catch(failed);
+        }
+
+        return bcrypt.compare(prepared.incoming, prepared.stored).catch(failed);
+    }
+
+    /**
+     * Whether a stored hash was made with fewer salt rounds, another pepper key, or
+     * with pre-hashing other than currently configured.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @return {boolean} true if the password should be hashed again.
+     */
+    needsRehash (stored, options) {
+        let temporalOptions = this.options;
+        if (options && typeof options === "object") temporalOptions = Object.assign({}, this.options, options);
+        let inner = pepper.unwrap(stored).stored;
+        if (!BcryptProcessor.detect(inner)) {
+            throw new MalformedHashError("BcryptProcessor: Malformed hash");
+        }
+
+        let prehashed = inner.startsWith(prehashMarker);
+        if (prehashed) {
+            inner = inner.slice(prehashMarker.length);
+        }
+
+        return pepper.needsRotation(stored, temporalOptions.pepper) ||
+            prehashed !== (temporalOptions.longPasswords === "prehash") ||
+            bcrypt.getRounds(inner) < temporalOptions.saltRounds;
     }
 };
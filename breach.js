@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+const { BackendUnavailableError, ConfigurationError } = require("./errors");
+
+const open = promisify(fs.open);
+const read = promisify(fs.read);
+const close = promisify(fs.close);
+const fstat = promisify(fs.fstat);
+const readFile = promisify(fs.readFile);
+
+/**
+ * Bytes read at a time when looking for a line; a line is 40 hex digits, a colon,
+ * a count and a line break.
+ */
+const chunkBytes = 128;
+
+/**
+ * Read the first line starting at or after a position of a file.
+ * @param {number} fd - File descriptor.
+ * @param {number} position - Byte position.
+ * @param {number} size - Size of the file.
+ * @return {Promise<?{ start: number, end: number, hash: string, count: number }>} The line, with the
+ * positions of its start and of the start of the next line; null if no line starts at or after the position.
+ */
+const lineAt = async (fd, position, size) => {
+    let start = position;
+    let buffer = Buffer.alloc(chunkBytes * 2);
+
+    if (position > 0) {
+        let { bytesRead } = await read(fd, buffer, 0, chunkBytes, position - 1);
+        let newline = buffer.slice(0, bytesRead).indexOf(0x0A);
+        if (newline < 0) {
+            return null;
+        }
+        start = position + newline;
+    }
+
+    if (start >= size) {
+        return null;
+    }
+
+    let { bytesRead } = await read(fd, buffer, 0, buffer.length, start);
+    let newline = buffer.slice(0, bytesRead).indexOf(0x0A);
+    let line = buffer.toString("ascii", 0, newline < 0 ? bytesRead : newline).trim();
+    let [hash, count] = line.split(":");
+
+    return {
+        start,
+        end: newline < 0 ? start + bytesRead : start + newline + 1,
+        hash: hash.toUpperCase(),
+        count: parseInt(count, 10) || 0
+    };
+};
+
+/**
+ * Checker of passwords against a local copy of Pwned Passwords (https://haveibeenpwned.com/Passwords),
+ * so that known-compromised passwords can be rejected without network access, as NIST SP 800-63B asks.
+ *
+ * Either layout of the SHA-1 dataset is read:
+ * - file: a single file of HASH:COUNT lines sorted by hash, searched by bisection
+ * - directory: range files named by the first 5 hex digits of the hash, with or
+ *   without .txt, of SUFFIX:COUNT lines, as the range API and its downloader give
+ */
+module.exports = class BreachChecker {
+    /**
+     * Create a checker by options supplied.
+     * @param {object} options - Configuration.
+     * @param {string} [options.file] - Path to the sorted file.
+     * @param {string} [options.directory] - Path to the directory of range files.
+     */
+    constructor (options) {
+        if (
+            !options ||
+            typeof options !== "object" ||
+            (!options.file && !options.directory)
+        ) {
+            throw new ConfigurationError("BreachChecker: Either file or directory must be supplied");
+        }
+
+        this.options = Object.assign({}, options);
+    }
+
+    /**
+     * A promise for how many times a password appears in the dataset.
+     *
+     * @promise BreachCountPromise
+     * @fulfill {number} Count of appearances; 0 if the password is not in the dataset.
+     * @reject {Error} Error of reading the dataset.
+     *
+     * Look up a password in the dataset.
+     * @param {string} password - Password.
+     * @return {BreachCountPromise} A promise for the count.
+     */
+    count (password) {
+        let hash = crypto.createHash("sha1").update(password).digest("hex").toUpperCase();
+        return this.options.file ?
+            this.search(hash) :
+            this.range(hash);
+    }
+
+    /**
+     * Bisect the sorted file for a hash.
+     * @param {string} hash - Uppercase hex SHA-1.
+     * @return {Promise<number>} Count of appearances.
+     */
+    search (hash) {
+        return new Promise(
+            async (resolve, reject) => {
+                let fd;
+                let count = 0;
+                try {
+                    fd = await open(this.options.file, "r");
+                    let { size } = await fstat(fd);
+
+                    /**
+                     *  The line of the hash, if any, starts within [low, high)
+                     */
+                    let low = 0;
+                    let high = size;
+                    while (low < high) {
+                        let middle = Math.floor((low + high) / 2);
+                        let line = await lineAt(fd, middle, size);
+
+                        if (!line || line.start >= high || line.hash > hash) {
+                            high = middle;
+                        } else if (line.hash < hash) {
+                            low = line.end;
+                        } else {
+                            count = line.count;
+                            break;
+                        }
+                    }
+                } catch (e) {
+                    reject(e);
+                    return;
+                } finally {
+                    if (fd !== undefined) {
+                        await close(fd).catch(() => {});
+                    }
+                }
+
+                resolve(count);
+            }
+        );
+    }
+
+    /**
+     * Scan the range file of a hash.
+     * @param {string} hash - Uppercase hex SHA-1.
+     * @return {Promise<number>} Count of appearances.
+     */
+    range (hash) {
+        return new Promise(
+            async (resolve, reject) => {
+                let prefix = hash.slice(0, 5);
+                let suffix = hash.slice(5);
+
+                let content = null;
+                try {
+                    for (let name of [`${ prefix }.txt`, prefix, `${ prefix.toLowerCase() }.txt`, prefix.toLowerCase()]) {
+                        try {
+                            content = await readFile(path.join(this.options.directory, name), "ascii");
+                            break;
+                        } catch (e) {
+                            if (e.code !== "ENOENT") {
+                                throw e;
+                            }
+                        }
+                    }
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                if (content === null) {
+                    reject(new BackendUnavailableError(`BreachChecker: Range file ${ prefix } not found`));
+                    return;
+                }
+
+                let line = content.split("\n").find(
+                    line => line.slice(0, suffix.length).toUpperCase() === suffix
+                );
+                resolve(line ? parseInt(line.split(":")[1], 10) || 0 : 0);
+            }
+        );
+    }
+};
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const registry = require("./registry");
+const { UnsupportedAlgorithmError } = require("./errors");
+
+/**
+ * Strategies of finding the strongest parameters of each algorithm within the latency
+ * budget. Each of them gets a function timing a hash by candidate parameters.
+ */
+const strategies = {
+    /**
+     * Iterations scale linearly, so they are extrapolated from a short run and then
+     * trimmed until a hash fits the budget.
+     */
+    async pbkdf2 (measure, { targetMs }) {
+        let iterations = 10000;
+        let elapsed = await measure({ iterations });
+        do {
+            iterations = Math.min(
+                Math.max(Math.floor(iterations * targetMs / elapsed * 0.95), 1000),
+                0xffffffff
+            );
+            elapsed = await measure({ iterations });
+        } while (elapsed > targetMs && iterations > 1000);
+
+        return { iterations };
+    },
+
+    /**
+     * Every salt round doubles the cost.
+     */
+    async bcrypt (measure, { targetMs }) {
+        let saltRounds = 4;
+        let elapsed = await measure({ saltRounds });
+        while (saltRounds < 31 && elapsed * 2 <= targetMs * 1.2) {
+            let next = await measure({ saltRounds: saltRounds + 1 });
+            if (next > targetMs) {
+                break;
+            }
+            saltRounds += 1;
+            elapsed = next;
+        }
+
+        return { saltRounds };
+    },
+
+    /**
+     * The cost doubles both time and memory, 128 * cost * blockSize bytes, so it is
+     * bounded by maxMemory as well.
+     */
+    async scrypt (measure, { targetMs, maxMemory }, options) {
+        let blockSize = options.blockSize || 8;
+        let parallelization = options.parallelization || 1;
+        let candidate = cost => ({
+            cost,
+            blockSize,
+            parallelization,
+            maxmem: Math.max(32 * 1024 * 1024, 256 * cost * blockSize)
+        });
+
+        let cost = 1024;
+        let elapsed = await measure(candidate(cost));
+        while (
+            128 * cost * 2 * blockSize <= maxMemory &&
+            elapsed * 2 <= targetMs * 1.2
+        ) {
+            let next = await measure(candidate(cost * 2));
+            if (next > targetMs) {
+                break;
+            }
+            cost *= 2;
+            elapsed = next;
+        }
+
+        return candidate(cost);
+    },
+
+    /**
+     * Memory is the stronger defence against GPUs, so Argon2id takes as much of
+     * maxMemory as the budget allows at a single pass, then as many passes as fit.
+     */
+    async argon2 (measure, { targetMs, maxMemory }, options) {
+        let parallelism = options.parallelism || 1;
+        let { argon2id } = registry.get("argon2").types;
+        let candidate = (memoryCost, timeCost) => ({
+            type: argon2id,
+            memoryCost,
+            timeCost,
+            parallelism
+        });
+
+        let memoryCost = Math.max(Math.floor(maxMemory / 1024), 8 * parallelism);
+        let timeCost = 1;
+        let elapsed = await measure(candidate(memoryCost, timeCost));
+        while (elapsed > targetMs && memoryCost / 2 >= 8 * parallelism) {
+            memoryCost = Math.floor(memoryCost / 2);
+            elapsed = await measure(candidate(memoryCost, timeCost));
+        }
+
+        while (elapsed * (timeCost + 1) / timeCost <= targetMs * 1.2) {
+            let next = await measure(candidate(memoryCost, timeCost + 1));
+            if (next > targetMs) {
+                break;
+            }
+            timeCost += 1;
+            elapsed = next;
+        }
+
+        return candidate(memoryCost, timeCost);
+    }
+};
+
+/**
+ * A promise for the strongest parameters of an algorithm that hash within a latency
+ * budget on the current machine.
+ *
+ * @promise CalibrationPromise
+ * @fulfill {object} Options to be passed to the processor constructor of the algorithm.
+ * @reject {Error} Unknown algorithm, or internal error of the hashing function.
+ *
+ * Benchmark an algorithm on the current machine. Each candidate is timed as the
+ * median of a few hashes, so calibrate on an idle machine similar to production.
+ * @param {object} config - Configuration.
+ * @param {string} config.algorithm - argon2, bcrypt, pbkdf2 or scrypt.
+ * @param {number} [config.targetMs] - Latency budget of a hash in milliseconds; 1000 by default.
+ * @param {number} [config.maxMemory] - Memory budget of a hash in bytes, for argon2 and scrypt; 64 MiB by default.
+ * @param {number} [config.samples] - Hashes timed per candidate; 3 by default.
+ * @param {object} [config.options] - Options kept as they are, e.g. digest of PBKDF2 or parallelism of Argon2.
+ * @return {CalibrationPromise} A promise for the options.
+ */
+module.exports = (config) => {
+    return new Promise(
+        async (resolve, reject) => {
+            let {
+                algorithm,
+                targetMs = 1000,
+                maxMemory = 64 * 1024 * 1024,
+                samples = 3,
+                options = {}
+            } = config || {};
+            algorithm = String(algorithm).toLowerCase();
+
+            if (!strategies.hasOwnProperty(algorithm)) {
+                reject(new UnsupportedAlgorithmError(`Calibrate: Unknown algorithm ${ algorithm }`));
+                return;
+            }
+
+            let calibrated;
+            try {
+                const Processor = registry.get(algorithm);
+                const password = crypto.randomBytes(12).toString("base64");
+
+                const measure = async (candidate) => {
+                    let processor = new Processor(Object.assign({}, options, candidate));
+                    let timings = [];
+                    for (let i = 0; i < samples; i++) {
+                        let start = performance.now();
+                        await processor.hash(password);
+                        timings.push(performance.now() - start);
+                    }
+                    return timings.sort((a, b) => a - b)[Math.floor(timings.length / 2)];
+                };
+
+                calibrated = await strategies[algorithm](measure, { targetMs, maxMemory }, options);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            resolve(Object.assign({}, options, calibrated));
+        }
+    );
+};
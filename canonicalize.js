@@ -0,0 +1,138 @@
+/**
+ * Canonicalization of passwords before hashing and comparing, so that a password
+ * typed differently, e.g. "é" precomposed or decomposed, gives the same hash.
+ *
+ * Forms:
+ * - none: left as it is
+ * - NFC, NFKC: Unicode normalization
+ * - saslprep: the profile of RFC 4013. Non-ASCII spaces are mapped to space,
+ *   characters commonly mapped to nothing are removed, the result is normalized
+ *   by NFKC, and prohibited characters (controls, private use, non-characters,
+ *   surrogates and the like) are rejected. The bidirectional check and the table
+ *   of unassigned code points are left out.
+ *
+ * Changing the form of a processor in use breaks the hashes of passwords that
+ * canonicalize differently.
+ */
+
+const { ConfigurationError, PasswordRejectedError } = require("./errors");
+
+const defaults = {
+    /**
+     * none, NFC, NFKC or saslprep
+     */
+    form: "none",
+
+    /**
+     * Most characters of a canonicalized password; longer ones are rejected.
+     */
+    maxLength: Infinity
+};
+
+/**
+ * Forms of canonicalization
+ */
+const forms = ["none", "NFC", "NFKC", "saslprep"];
+
+/**
+ * RFC 3454 C.1.2, non-ASCII space characters
+ */
+const spaces = /[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g;
+
+/**
+ * RFC 3454 B.1, commonly mapped to nothing
+ */
+const nothing = /[\u00AD\u034F\u1806\u180B-\u180D\u200B-\u200D\u2060\uFE00-\uFE0F\uFEFF]/g;
+
+/**
+ * RFC 3454 C.1.2 and C.2 to C.9, prohibited output of SASLprep
+ * @param {number} cp - Code point.
+ * @return {boolean} true if the code point is prohibited.
+ */
+const prohibited = (cp) =>
+    cp <= 0x1F ||
+    (cp >= 0x7F && cp <= 0x9F) ||
+    cp === 0xA0 || cp === 0x1680 || (cp >= 0x2000 && cp <= 0x200F) || cp === 0x202F || cp === 0x205F || cp === 0x3000 ||
+    cp === 0x06DD || cp === 0x070F || cp === 0x180E ||
+    (cp >= 0x2028 && cp <= 0x202E) ||
+    (cp >= 0x2060 && cp <= 0x2063) ||
+    (cp >= 0x206A && cp <= 0x206F) ||
+    cp === 0xFEFF ||
+    (cp >= 0xFFF9 && cp <= 0xFFFD) ||
+    (cp >= 0x1D173 && cp <= 0x1D17A) ||
+    (cp >= 0xE000 && cp <= 0xF8FF) ||
+    (cp >= 0xF0000 && cp <= 0xFFFFD) ||
+    (cp >= 0x100000 && cp <= 0x10FFFD) ||
+    (cp >= 0xFDD0 && cp <= 0xFDEF) ||
+    (cp & 0xFFFE) === 0xFFFE ||
+    (cp >= 0xD800 && cp <= 0xDFFF) ||
+    (cp >= 0x2FF0 && cp <= 0x2FFB) ||
+    cp === 0x0340 || cp === 0x0341 ||
+    cp === 0xE0001 || (cp >= 0xE0020 && cp <= 0xE007F);
+
+/**
+ * Canonicalize a password.
+ * @param {string} password - Password; other types are left as they are.
+ * @param {object} [options] - Configuration.
+ * @param {string} [options.form] - none, NFC, NFKC or saslprep.
+ * @param {number} [options.maxLength] - Most characters of the canonicalized password.
+ * @return {string} The canonicalized password.
+ */
+module.exports = (password, options) => {
+    let { form, maxLength } = Object.assign({}, defaults, options);
+
+    if (typeof password !== "string") {
+        return password;
+    }
+
+    switch (form) {
+        case "none": {
+            break;
+        }
+
+        case "NFC":
+        case "NFKC": {
+            password = password.normalize(form);
+            break;
+        }
+
+        case "saslprep": {
+            password = password.replace(spaces, " ").replace(nothing, "").normalize("NFKC");
+            for (let character of password) {
+                if (prohibited(character.codePointAt(0))) {
+                    throw new PasswordRejectedError("Canonicalize: Password contains prohibited characters");
+                }
+            }
+            break;
+        }
+
+        default: {
+            throw new ConfigurationError(`Canonicalize: Unknown form ${ form }`);
+        }
+    }
+
+    if ([...password].length > maxLength) {
+        throw new PasswordRejectedError(`Canonicalize: Password longer than ${ maxLength } characters`);
+    }
+
+    return password;
+};
+
+/**
+ * Check a configuration of canonicalization, so that an unknown form fails when a
+ * processor is created rather than on every hash and compare.
+ * @param {object} [options] - Configuration (refer to the function above).
+ * @return {object} The configuration.
+ */
+module.exports.validate = (options) => {
+    let { form, maxLength } = Object.assign({}, defaults, options);
+
+    if (!forms.includes(form)) {
+        throw new ConfigurationError(`Canonicalize: Unknown form ${ form }`);
+    }
+    if (!(maxLength > 0)) {
+        throw new ConfigurationError("Canonicalize: maxLength must be positive");
+    }
+
+    return options;
+};
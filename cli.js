@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+/**
+ * ucp: command-line tool of user credential processor.
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const { performance } = require("perf_hooks");
+const userCredentialProcessor = require("./index");
+
+const usage = `Usage: ucp <command> [options]
+
+Commands:
+  hash                      Hash a password read from stdin, or prompted for without echo
+    --algorithm <name>        argon2 (default), bcrypt, pbkdf2 or scrypt
+    --options <json>          Options of the processor
+  verify <hash>             Verify a password read from stdin, or prompted for, against a hash
+                            of any algorithm; exits with 1 if it does not match
+    --options <json>          Options of the processor, keyed by algorithm
+  inspect <hash>            Print what is inside a hash
+    --audit                   Audit it against the minimum-strength policy as well
+    --policy <json>           Minimum-strength policy of the audit
+  bench                     Time hashes of each algorithm; those whose backends fail to load are skipped
+    --algorithm <name>        Algorithm to time; all of them by default
+    --options <json>          Options of the processor
+    --samples <n>             Hashes timed; 5 by default
+  migrate-report <file>     Summarize which hashes of a CSV or JSONL file need upgrading; - for stdin
+    --format <csv|jsonl>      Format of the file; by its extension by default
+    --field <name>            Column or field of the hashes; hash by default
+    --policy <json>           Minimum-strength policy of the audit
+    --json                    Print the summary as JSON
+`;
+
+/**
+ * Flags which take no value.
+ */
+const switches = ["audit", "json", "help"];
+
+/**
+ * Parse the command-line arguments.
+ * @param {string[]} argv - Arguments after the script.
+ * @return {{ command: ?string, args: string[], flags: object }} Command, positional arguments and flags.
+ */
+const parse = (argv) => {
+    let args = [];
+    let flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        let matched = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!matched) {
+            args.push(argv[i]);
+        } else if (matched[2] !== undefined) {
+            flags[matched[1]] = matched[2];
+        } else if (switches.includes(matched[1])) {
+            flags[matched[1]] = true;
+        } else {
+            if (i + 1 >= argv.length) {
+                throw new Error(`--${ matched[1] } takes a value`);
+            }
+            flags[matched[1]] = argv[++i];
+        }
+    }
+
+    return { command: args.shift() || null, args, flags };
+};
+
+/**
+ * Parse a flag of JSON.
+ * @param {object} flags - Flags.
+ * @param {string} name - Name of the flag.
+ * @return {object} The parsed value; an empty object if the flag is not supplied.
+ */
+const json = (flags, name) => {
+    if (flags[name] === undefined) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(flags[name]);
+    } catch (e) {
+        throw new Error(`--${ name } is not valid JSON`);
+    }
+};
+
+/**
+ * Read a password from stdin, or prompt for it without echo when stdin is a TTY.
+ * @return {Promise<string>} The password, without the trailing line break.
+ */
+const readPassword = () => new Promise(
+    (resolve, reject) => {
+        let { stdin, stderr } = process;
+
+        if (!stdin.isTTY) {
+            let chunks = [];
+            stdin.on("data", chunk => chunks.push(chunk));
+            stdin.on("end", () => resolve(Buffer.concat(chunks).toString("utf8").replace(/\r?\n$/, "")));
+            stdin.on("error", reject);
+            return;
+        }
+
+        let password = "";
+        let done = (e) => {
+            stdin.setRawMode(false);
+            stdin.pause();
+            stdin.removeListener("data", listener);
+            stderr.write("\n");
+            e ? reject(e) : resolve(password);
+        };
+        let listener = (chunk) => {
+            for (let character of chunk.toString("utf8")) {
+                switch (character) {
+                    case "\r":
+                    case "\n":
+                    case "\u0004": {
+                        done();
+                        return;
+                    }
+
+                    case "\u0003": {
+                        done(new Error("Cancelled"));
+                        return;
+                    }
+
+                    case "\u007F":
+                    case "\b": {
+                        password = [...password].slice(0, -1).join("");
+                        break;
+                    }
+
+                    default: {
+                        password += character;
+                    }
+                }
+            }
+        };
+
+        stderr.write("Password: ");
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.on("data", listener);
+    }
+);
+
+/**
+ * Get the name of an algorithm supplied.
+ * @param {string} [algorithm] - Name of the algorithm.
+ * @return {string} The normalized name.
+ */
+const algorithmOf = (algorithm) => {
+    algorithm = String(algorithm).toLowerCase();
+    if (!userCredentialProcessor.algorithms().includes(algorithm)) {
+        throw new Error(`Unknown algorithm ${ algorithm }`);
+    }
+    return algorithm;
+};
+
+/**
+ * Split a line of CSV into fields; quoted fields may contain commas and doubled quotes.
+ * @param {string} line - Line of CSV.
+ * @return {string[]} Fields.
+ */
+const splitCsv = (line) => {
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        let character = line[i];
+        if (quoted) {
+            if (character === "\"" && line[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (character === "\"") {
+                quoted = false;
+            } else {
+                field += character;
+            }
+        } else if (character === "\"") {
+            quoted = true;
+        } else if (character === ",") {
+            fields.push(field);
+            field = "";
+        } else {
+            field += character;
+        }
+    }
+    fields.push(field);
+    return fields;
+};
+
+/**
+ * Whether the backend of an algorithm loads (refer to backends.js).
+ * @param {string} algorithm - Name of the algorithm.
+ * @return {boolean} true if it is available.
+ */
+const available = (algorithm) => {
+    try {
+        userCredentialProcessor.capabilities(algorithm);
+        return true;
+    } catch (e) {
+        if (e instanceof userCredentialProcessor.BackendUnavailableError) {
+            return false;
+        }
+        throw e;
+    }
+};
+
+const commands = {
+    async hash ({ flags }) {
+        const Processor = userCredentialProcessor({ [algorithmOf(flags.algorithm || "argon2")]: true });
+        let processor = new Processor(json(flags, "options"));
+        console.log(await processor.hash(await readPassword()));
+    },
+
+    async verify ({ args, flags }) {
+        if (!args[0]) {
+            throw new Error("verify takes a hash");
+        }
+
+        /**
+         * Algorithms whose backends fail to load are left out, so that hashes of the others still verify
+         */
+        let algorithms = userCredentialProcessor.algorithms().filter(available);
+        if (algorithms.length === 0) {
+            throw new Error("No algorithm has a backend available");
+        }
+
+        const Processor = userCredentialProcessor(
+            Object.assign({ primary: algorithms[0] }, ...algorithms.map(algorithm => ({ [algorithm]: true })))
+        );
+        let processor = new Processor(Object.assign({ foreign: true }, json(flags, "options")));
+        let valid = await processor.compare(await readPassword(), args[0]);
+        console.log(valid ? "valid" : "invalid");
+        process.exitCode = valid ? 0 : 1;
+    },
+
+    async inspect ({ args, flags }) {
+        if (!args[0]) {
+            throw new Error("inspect takes a hash");
+        }
+
+        let result = flags.audit || flags.policy !== undefined ?
+            userCredentialProcessor.audit(args[0], json(flags, "policy")) :
+            userCredentialProcessor.inspect(args[0]);
+        console.log(JSON.stringify(result, null, 2));
+    },
+
+    async bench ({ flags }) {
+        let samples = flags.samples === undefined ? 5 : parseInt(flags.samples, 10);
+        if (!(samples >= 1)) {
+            throw new Error("--samples must be at least 1");
+        }
+
+        let options = json(flags, "options");
+        let password = "correct horse battery staple";
+        for (let algorithm of flags.algorithm ? [algorithmOf(flags.algorithm)] : userCredentialProcessor.algorithms()) {
+            if (!available(algorithm)) {
+                console.log(`${ algorithm.padEnd(8) } skipped, backend unavailable`);
+                continue;
+            }
+
+            const Processor = userCredentialProcessor({ [algorithm]: true });
+            let processor = new Processor(options);
+            let timings = [];
+            for (let i = 0; i < samples; i++) {
+                let start = performance.now();
+                await processor.hash(password);
+                timings.push(performance.now() - start);
+            }
+            timings.sort((a, b) => a - b);
+            console.log(
+                `${ algorithm.padEnd(8) } median ${ timings[Math.floor(samples / 2)].toFixed(1) } ms, ` +
+                `min ${ timings[0].toFixed(1) } ms, max ${ timings[samples - 1].toFixed(1) } ms`
+            );
+        }
+    },
+
+    async "migrate-report" ({ args, flags }) {
+        if (!args[0]) {
+            throw new Error("migrate-report takes a file");
+        }
+
+        let format = flags.format || (/\.jsonl?$/i.test(args[0]) ? "jsonl" : "csv");
+        if (!["csv", "jsonl"].includes(format)) {
+            throw new Error(`Unknown format ${ format }`);
+        }
+        let field = flags.field || "hash";
+        let policy = json(flags, "policy");
+
+        let summary = { total: 0, compliant: 0, unrecognised: 0, algorithms: {}, findings: {} };
+        let column = null;
+        let lines = readline.createInterface({
+            input: args[0] === "-" ? process.stdin : fs.createReadStream(args[0]),
+            crlfDelay: Infinity
+        });
+
+        for await (let line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let stored;
+            if (format === "csv") {
+                let fields = splitCsv(line);
+                if (column === null) {
+                    column = fields.indexOf(field);
+                    if (column < 0) {
+                        throw new Error(`No column ${ field }`);
+                    }
+                    continue;
+                }
+                stored = fields[column];
+            } else {
+                try {
+                    stored = JSON.parse(line)[field];
+                } catch (e) {
+                    stored = undefined;
+                }
+            }
+
+            summary.total += 1;
+            let result;
+            try {
+                result = userCredentialProcessor.audit(stored, policy);
+            } catch (e) {
+                /**
+                 * Other errors, e.g. BackendUnavailableError, are of the host rather than the hash
+                 */
+                if (
+                    !(e instanceof userCredentialProcessor.MalformedHashError) &&
+                    !(e instanceof userCredentialProcessor.UnsupportedAlgorithmError)
+                ) {
+                    throw e;
+                }
+                summary.unrecognised += 1;
+                continue;
+            }
+
+            let { algorithm, variant, format: hashFormat, params } = result.inspection;
+            let key = [...new Set([algorithm, variant, hashFormat])].filter(value => value).join(" ");
+            let entry = summary.algorithms[key] = summary.algorithms[key] || { count: 0, upgrade: 0, params: {} };
+            entry.count += 1;
+            let paramsKey = Object.keys(params).map(param => `${ param }=${ params[param] }`).join(",");
+            entry.params[paramsKey] = (entry.params[paramsKey] || 0) + 1;
+
+            if (result.compliant) {
+                summary.compliant += 1;
+            } else {
+                entry.upgrade += 1;
+                new Set(result.findings.map(({ code }) => code)).forEach(
+                    code => summary.findings[code] = (summary.findings[code] || 0) + 1
+                );
+            }
+        }
+
+        if (flags.json) {
+            console.log(JSON.stringify(summary, null, 2));
+            return;
+        }
+
+        console.log(`${ summary.total } hashes, ${ summary.total - summary.compliant - summary.unrecognised } need upgrading, ${ summary.unrecognised } unrecognised`);
+        Object.keys(summary.algorithms).sort().forEach(
+            key => {
+                let { count, upgrade, params } = summary.algorithms[key];
+                console.log(`\n${ key }: ${ count }, ${ upgrade } need upgrading`);
+                Object.keys(params).sort((a, b) => params[b] - params[a]).forEach(
+                    paramsKey => console.log(`  ${ paramsKey || "(no parameters)" }: ${ params[paramsKey] }`)
+                );
+            }
+        );
+        if (Object.keys(summary.findings).length > 0) {
+            console.log("\nFindings:");
+            Object.keys(summary.findings).sort().forEach(
+                code => console.log(`  ${ code }: ${ summary.findings[code] }`)
+            );
+        }
+    }
+};
+
+const main = async () => {
+    let { command, args, flags } = parse(process.argv.slice(2));
+    if (!command || flags.help || !commands.hasOwnProperty(command)) {
+        process.stderr.write(usage);
+        process.exitCode = flags.help ? 0 : 2;
+        return;
+    }
+
+    await commands[command]({ args, flags });
+};
+
+main().catch(
+    e => {
+        process.stderr.write(`ucp: ${ e.message }\n`);
+        process.exitCode = 2;
+    }
+);
@@ -0,0 +1,149 @@
+const pepper = require("./pepper");
+const registry = require("./registry");
+const { ConfigurationError, UnsupportedAlgorithmError } = require("./errors");
+
+module.exports = class CompositeProcessor {
+    /**
+     * Create a Composite Credential Processor instance by options supplied.
+     * New hashes are made with the primary algorithm, while stored hashes of any
+     * enabled algorithm can be compared. The processors of the other algorithms are
+     * created at the first compare of their hashes, so that the backend of one that
+     * is unavailable fails those compares only (refer to backends.js).
+     * @param {object} options - Configuration.
+     * @param {string} options.primary - Algorithm used for hashing.
+     * @param {string[]} options.algorithms - Algorithms enabled for comparing; must include the primary one.
+     * @param {object} [options.pepper] - Pepper keyring (refer to pepper.js) shared by the enabled algorithms.
+     * @param {object} [options.logger] - Logger of failures (refer to logger.js) shared by the enabled algorithms.
+     * @param {object} [options.argon2] - Optional options passed to Argon2Processor.
+     * @param {object} [options.bcrypt] - Optional options passed to BcryptProcessor.
+     * @param {object} [options.pbkdf2] - Optional options passed to PBKDF2Processor.
+     * @param {object} [options.scrypt] - Optional options passed to ScryptProcessor.
+     * Options of registered algorithms are keyed by their names likewise.
+     */
+    constructor (
+        options
+    ) {
+        if (
+            !options ||
+            typeof options !== "object" ||
+            !Array.isArray(options.algorithms) ||
+            !options.algorithms.includes(options.primary)
+        ) {
+            throw new ConfigurationError("CompositeProcessor: The primary algorithm must be one of the enabled algorithms");
+        }
+
+        this.primary = options.primary;
+        this.algorithms = options.algorithms;
+        this.options = options;
+        this.processors = {};
+
+        this.algorithms.forEach(
+            algorithm => {
+                if (!registry.has(algorithm)) {
+                    throw new UnsupportedAlgorithmError(`CompositeProcessor: Unknown algorithm ${ algorithm }`);
+                }
+            }
+        );
+        this.processor(this.primary);
+    }
+
+    /**
+     * The processor of an enabled algorithm, created when first needed.
+     * @param {string} algorithm - Name of the algorithm.
+     * @return {object} The processor; throws BackendUnavailableError if the backend of the algorithm is unavailable.
+     */
+    processor (algorithm) {
+        if (!this.processors[algorithm]) {
+            const Processor = registry.get(algorithm);
+            this.processors[algorithm] = new Processor(
+                Object.assign({ pepper: this.options.pepper, logger: this.options.logger }, this.options[algorithm])
+            );
+        }
+
+        return this.processors[algorithm];
+    }
+
+    /**
+     * Find out which of the enabled algorithms produced a stored hash.
+     * @param {string} stored - Password hash stored in database.
+     * @return {?string} Name of the algorithm; null if no enabled algorithm recognises the hash.
+     */
+    detect (stored) {
+        let inner = pepper.unwrap(stored).stored;
+        return registry.detect(inner, this.algorithms);
+    }
+
+    /**
+     * A promise for the hashed password by the options supplied to the hashing function.
+     *
+     * @promise PaswordHashingPromise
+     * @fulfill {string} The hashed password.
+     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     *
+     * Hash a password with the primary algorithm.
+     * @param {string} password - Password.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @return {PaswordHashingPromise} A promise for the hashed password by the options supplied to the hashing function.
+     */
+    hash (
+        password,
+        options
+    ) {
+        return this.processor(this.primary).hash(password, options);
+    }
+
+    /**
+     * A promise for comparing an incoming plain password with a hash.
+     *
+     * @promise IncomingPasswordHashComparePromise
+     * @fulfill {boolean} Whether the incoming plain password and the hash is a match.
+     * @reject {Error} Internal error of the hashing function, the stored hash is of no enabled algorithm, or the backend of its algorithm is unavailable.
+     *
+     * Compare an incoming password with the stored password hash, by the algorithm which produced the hash.
+     * @param {string} incoming - Incoming password.
+     * @param {string} stored - Password hash stored in database.
+     * @return {IncomingPasswordHashComparePromise} A promise for comparing an incoming plain password with a hash
+     */
+    compare (
+        incoming,
+        stored
+    ) {
+        let algorithm = this.detect(stored);
+        if (!algorithm) {
+            return Promise.reject(
+                new UnsupportedAlgorithmError("CompositeProcessor: Unrecognised hash format")
+            );
+        }
+
+        let processor;
+        try {
+            processor = this.processor(algorithm);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        return processor.compare(incoming, stored);
+    }
+
+    /**
+     * Whether a stored hash should be replaced by a new hash of the primary algorithm,
+     * either as it is of another algorithm, or as its parameters are weaker than configured.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Optional options that overrides options of the primary algorithm supplied at constructor.
+     * @return {boolean} true if the password should be hashed again.
+     */
+    needsRehash (
+        stored,
+        options
+    ) {
+        let algorithm = this.detect(stored);
+        if (!algorithm) {
+            throw new UnsupportedAlgorithmError("CompositeProcessor: Unrecognised hash format");
+        }
+
+        return algorithm !== this.primary || (
+            typeof this.processor(algorithm).needsRehash === "function" &&
+            this.processor(algorithm).needsRehash(stored, options)
+        );
+    }
+};
@@ -0,0 +1,145 @@
+/**
+ * Errors of user credential processor. Every error has a stable code, so that callers
+ * can map failures to responses without parsing messages; the error of an underlying
+ * library, if any, is kept as cause.
+ */
+
+class UserCredentialError extends Error {
+    /**
+     * Create an error.
+     * @param {string} message - Message, prefixed by the name of the module.
+     * @param {object} [details] - Properties added to the error, e.g. cause.
+     */
+    constructor (message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = this.constructor.code;
+        Object.assign(this, details);
+    }
+
+    static get code () {
+        return "ERR_USER_CREDENTIAL";
+    }
+}
+
+/**
+ * A stored hash cannot be decoded.
+ */
+class MalformedHashError extends UserCredentialError {
+    static get code () {
+        return "ERR_MALFORMED_HASH";
+    }
+}
+
+/**
+ * An algorithm, digest, mode or hash format is unknown or not enabled.
+ */
+class UnsupportedAlgorithmError extends UserCredentialError {
+    static get code () {
+        return "ERR_UNSUPPORTED_ALGORITHM";
+    }
+}
+
+/**
+ * A parameter of hashing is out of the range the algorithm accepts.
+ */
+class ParameterOutOfRangeError extends UserCredentialError {
+    static get code () {
+        return "ERR_PARAMETER_OUT_OF_RANGE";
+    }
+}
+
+/**
+ * A backend cannot serve the request: a native module fails to load, a queue is full,
+ * or a dataset cannot be read.
+ */
+class BackendUnavailableError extends UserCredentialError {
+    static get code () {
+        return "ERR_BACKEND_UNAVAILABLE";
+    }
+}
+
+/**
+ * Options supplied are invalid.
+ */
+class ConfigurationError extends UserCredentialError {
+    static get code () {
+        return "ERR_CONFIGURATION";
+    }
+}
+
+/**
+ * A password is refused: by the policy, the breach dataset, canonicalization or the algorithm.
+ */
+class PasswordRejectedError extends UserCredentialError {
+    static get code () {
+        return "ERR_PASSWORD_REJECTED";
+    }
+}
+
+/**
+ * A hash or compare is aborted by its signal, or runs out of its time.
+ */
+class AbortedError extends UserCredentialError {
+    static get code () {
+        return "ERR_ABORTED";
+    }
+}
+
+/**
+ * Node.js error codes of unsupported digests.
+ */
+const digestCodes = [
+    "ERR_CRYPTO_INVALID_DIGEST",
+    "ERR_OSSL_EVP_UNSUPPORTED"
+];
+
+/**
+ * Node.js error codes of invalid parameters of crypto, and ERR_ASSERTION, with which
+ * the argon2 package checks its limits.
+ */
+const rangeCodes = [
+    "ERR_OUT_OF_RANGE",
+    "ERR_INVALID_ARG_VALUE",
+    "ERR_CRYPTO_INVALID_KEYLEN",
+    "ERR_CRYPTO_INVALID_SCRYPT_PARAMS",
+    "ERR_CRYPTO_SCRYPT_INVALID_PARAMETER",
+    "ERR_ASSERTION"
+];
+
+/**
+ * Translate an error of an underlying library into an error of this module, by its code;
+ * errors without a known code are not told apart, whatever their message.
+ * @param {Error} e - The error.
+ * @param {string} prefix - Name of the module, e.g. PBKDF2Processor.
+ * @param {string} operation - What failed, e.g. Hashing failed.
+ * @return {UserCredentialError} The error itself if it is one already; otherwise a typed error with it as cause.
+ */
+const translate = (e, prefix, operation) => {
+    if (e instanceof UserCredentialError) {
+        return e;
+    }
+
+    let code = e && e.code;
+    let details = { cause: e };
+    if (digestCodes.includes(code)) {
+        return new UnsupportedAlgorithmError(`${ prefix }: Unsupported digest`, details);
+    }
+    if (rangeCodes.includes(code) || e instanceof RangeError) {
+        return new ParameterOutOfRangeError(`${ prefix }: Parameter out of range`, details);
+    }
+
+    return new UserCredentialError(`${ prefix }: ${ operation }`, details);
+};
+
+module.exports = {
+    UserCredentialError,
+    MalformedHashError,
+    UnsupportedAlgorithmError,
+    ParameterOutOfRangeError,
+    BackendUnavailableError,
+    ConfigurationError,
+    PasswordRejectedError,
+    AbortedError,
+    translate
+};
@@ -0,0 +1,267 @@
+const crypto = require("crypto");
+const backends = require("./backends");
+const registry = require("./registry");
+const shacrypt = require("./shacrypt");
+const { ParameterOutOfRangeError, UnsupportedAlgorithmError } = require("./errors");
+
+/**
+ * Verify-only adapters of hash formats of other systems, so that user tables imported
+ * from them keep working until each password is hashed again at the next login.
+ * Nothing is ever hashed in these formats.
+ *
+ * Adapters:
+ * - django: pbkdf2_sha256$<iterations>$<salt>$<hash> and pbkdf2_sha1$...
+ * - werkzeug: pbkdf2:sha256:<iterations>$<salt>$<hex hash>, and other digests
+ * - passlib: PHC strings of passlib, $pbkdf2-sha256$<rounds>$..., $scrypt$ln=..., $argon2...$ and $2b$...
+ * - bcrypt2y: $2y$ bcrypt of PHP
+ * - shacrypt: $5$ and $6$ SHA-crypt of glibc, with or without rounds=, computed in a worker thread
+ *   (refer to shacrypt.js)
+ * - digest: MD5 and SHA-1, unsalted as hex, md5$<salt>$<hex> and sha1$<salt>$<hex> of Django,
+ *   and {MD5}, {SHA}, {SMD5}, {SSHA} of LDAP
+ */
+
+/**
+ * Compare two buffers in constant time.
+ * @param {Buffer} a - Buffer.
+ * @param {Buffer} b - Buffer.
+ * @return {boolean} true if the buffers are equal and not empty.
+ */
+const equal = (a, b) => a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+
+const pbkdf2 = (password, salt, iterations, keylen, digest) => new Promise(
+    (resolve, reject) => crypto.pbkdf2(password, salt, iterations, keylen, digest, (e, key) => e ? reject(e) : resolve(key))
+);
+
+const adapters = {
+    django: {
+        pattern: /^pbkdf2_(sha1|sha256|sha512)\$(\d+)\$([^$]*)\$([A-Za-z0-9+/]+={0,2})$/,
+
+        detect (stored) {
+            return this.pattern.test(stored);
+        },
+
+        async compare (incoming, stored) {
+            let [, digest, iterations, salt, hash] = this.pattern.exec(stored);
+            hash = Buffer.from(hash, "base64");
+            return equal(await pbkdf2(incoming, salt, parseInt(iterations, 10), hash.length, digest), hash);
+        }
+    },
+
+    werkzeug: {
+        pattern: /^pbkdf2:([a-z0-9]+):(\d+)\$([^$]*)\$((?:[0-9a-f]{2})+)$/,
+
+        detect (stored) {
+            return this.pattern.test(stored);
+        },
+
+        async compare (incoming, stored) {
+            let [, digest, iterations, salt, hash] = this.pattern.exec(stored);
+            hash = Buffer.from(hash, "hex");
+            return equal(await pbkdf2(incoming, salt, parseInt(iterations, 10), hash.length, digest), hash);
+        }
+    },
+
+    passlib: {
+        processors: [
+            [/^\$pbkdf2(?:-[a-z0-9]+)?\$/, "pbkdf2"],
+            [/^\$scrypt\$/, "scrypt"],
+            [/^\$argon2(?:id|i|d)\$/, "argon2"],
+            [/^\$2b\$/, "bcrypt"]
+        ],
+
+        /**
+         * Name of the algorithm verifying a PHC string of passlib.
+         * @param {string} stored - Password hash stored in database.
+         * @return {?string} Name of the algorithm; null if none of them recognises the hash.
+         */
+        processor (stored) {
+            let entry = this.processors.find(([prefix]) => prefix.test(stored));
+            return entry && registry.test(entry[1], stored) ? entry[1] : null;
+        },
+
+        detect (stored) {
+            return !!this.processor(stored);
+        },
+
+        /**
+         *  Compared by the processor of the algorithm, with the options of the caller
+         */
+        compare (incoming, stored, options) {
+            let algorithm = this.processor(stored);
+            const Processor = registry.get(algorithm);
+            let { pepper, logger, [algorithm]: processorOptions } = options || {};
+            return new Processor(Object.assign({ pepper, logger }, processorOptions)).compare(incoming, stored);
+        }
+    },
+
+    bcrypt2y: {
+        pattern: /^\$2y\$\d{2}\$[./A-Za-z0-9]{53}$/,
+
+        detect (stored) {
+            return this.pattern.test(stored);
+        },
+
+        /**
+         *  $2y$ of PHP is the same algorithm as $2b$; compared by the bcrypt backend (refer to backends.js)
+         */
+        compare (incoming, stored) {
+            return backends.load("bcrypt").library.compare(incoming, `$2b$${ stored.slice(4) }`);
+        }
+    },
+
+    shacrypt: {
+        pattern: /^\$([56])\$(?:rounds=(\d+)\$)?([^$:\n]{0,16})\$([./A-Za-z0-9]{43}|[./A-Za-z0-9]{86})$/,
+
+        detect (stored) {
+            let matched = this.pattern.exec(stored);
+            return !!matched && matched[4].length === (matched[1] === "5" ? 43 : 86);
+        },
+
+        /**
+         *  Most rounds, and bytes of password, compared; above them a compare is rejected rather than
+         *  left to tie up a worker, as the stored hash sets the one and the caller the other
+         */
+        limits: {
+            maxRounds: 1000000,
+            maxPasswordLength: 1024
+        },
+
+        async compare (incoming, stored, options) {
+            let { maxRounds, maxPasswordLength } = Object.assign({}, this.limits, options && options.shacrypt);
+            let [, id, rounds, salt, hash] = this.pattern.exec(stored);
+            rounds = rounds === undefined ? 5000 : Math.min(Math.max(parseInt(rounds, 10), 1000), 999999999);
+            if (rounds > maxRounds) {
+                throw new ParameterOutOfRangeError(`Foreign: SHA-crypt rounds above ${ maxRounds }`);
+            }
+
+            let password = Buffer.from(incoming);
+            if (password.length > maxPasswordLength) {
+                throw new ParameterOutOfRangeError(`Foreign: SHA-crypt password longer than ${ maxPasswordLength } bytes`);
+            }
+
+            let computed = await shacrypt.compute(password, Buffer.from(salt), rounds, id === "5" ? "sha256" : "sha512");
+            return equal(Buffer.from(computed), Buffer.from(hash));
+        }
+    },
+
+    digest: {
+        sizes: { md5: 16, sha1: 20 },
+
+        /**
+         * Parse a digest hash.
+         * @param {string} stored - Password hash stored in database.
+         * @return {?{ digest: string, salt: Buffer, hash: Buffer, salted: string }} Fields of the hash, where salted
+         * tells where the salt goes: before or after the password; null if not a digest hash.
+         */
+        parse (stored) {
+            let matched;
+
+            if ((matched = /^(?:(md5|sha1)\$([^$]*)\$)?([0-9a-fA-F]{32}|[0-9a-fA-F]{40})$/.exec(stored))) {
+                let hash = Buffer.from(matched[3], "hex");
+                let digest = matched[1] || (hash.length === 16 ? "md5" : "sha1");
+                return hash.length === this.sizes[digest] ?
+                    { digest, salt: Buffer.from(matched[2] || ""), hash, salted: "before" } :
+                    null;
+            }
+
+            if ((matched = /^\{(S?)(MD5|SHA)\}([A-Za-z0-9+/]+={0,2})$/i.exec(stored))) {
+                let digest = matched[2].toUpperCase() === "MD5" ? "md5" : "sha1";
+                let buffer = Buffer.from(matched[3], "base64");
+                let size = this.sizes[digest];
+                if (matched[1] ? buffer.length <= size : buffer.length !== size) {
+                    return null;
+                }
+                return { digest, salt: buffer.slice(size), hash: buffer.slice(0, size), salted: "after" };
+            }
+
+            return null;
+        },
+
+        detect (stored) {
+            return !!this.parse(stored);
+        },
+
+        async compare (incoming, stored) {
+            let { digest, salt, hash, salted } = this.parse(stored);
+            let password = Buffer.from(incoming);
+            let computed = crypto.createHash(digest)
+                .update(salted === "before" ? Buffer.concat([salt, password]) : Buffer.concat([password, salt]))
+                .digest();
+            return equal(computed, hash);
+        }
+    }
+};
+
+module.exports = {
+    /**
+     * Names of all adapters.
+     */
+    names: Object.keys(adapters),
+
+    /**
+     * Parse an MD5 or SHA-1 hash of a format the digest adapter verifies.
+     * @param {string} stored - Password hash stored in database.
+     * @return {?{ digest: string, salt: Buffer, hash: Buffer, salted: string }} Fields of the hash, where salted
+     * tells where the salt goes: before or after the password; null if not a digest hash.
+     */
+    parseDigest (stored) {
+        return typeof stored === "string" ? adapters.digest.parse(stored) : null;
+    },
+
+    /**
+     * Find the adapter of a stored hash.
+     * @param {string} stored - Password hash stored in database.
+     * @param {string[]} [names] - Names of the adapters enabled; all of them if not supplied.
+     * @return {?string} Name of the adapter; null if no enabled adapter recognises the hash.
+     */
+    detect (stored, names) {
+        if (typeof stored !== "string") {
+            return null;
+        }
+
+        return (names || this.names).find(
+            name => {
+                if (!adapters.hasOwnProperty(name)) {
+                    throw new UnsupportedAlgorithmError(`Foreign: Unknown adapter ${ name }`);
+                }
+                return adapters[name].detect(stored);
+            }
+        ) || null;
+    },
+
+    /**
+     * A promise for comparing an incoming plain password with a foreign hash.
+     *
+     * @promise ForeignHashComparePromise
+     * @fulfill {boolean} Whether the incoming plain password and the hash is a match.
+     * @reject {Error} Internal error of the hashing function, UnsupportedAlgorithmError if no enabled adapter recognises the hash, or ParameterOutOfRangeError if it is beyond the limits of its adapter.
+     *
+     * Compare an incoming password with a foreign hash.
+     * @param {string} incoming - Incoming password.
+     * @param {string} stored - Password hash stored in database.
+     * @param {string[]} [names] - Names of the adapters enabled; all of them if not supplied.
+     * @param {object} [options] - Options of the processors verifying PHC strings of passlib, keyed by algorithm, with
+     * pepper and logger shared, as those of CompositeProcessor, and limits of SHA-crypt as shacrypt,
+     * { maxRounds, maxPasswordLength }; the defaults if not supplied.
+     * @return {ForeignHashComparePromise} A promise for comparing an incoming plain password with a foreign hash.
+     */
+    compare (incoming, stored, names, options) {
+        return new Promise(
+            async (resolve, reject) => {
+                let valid;
+                try {
+                    let name = this.detect(stored, names);
+                    if (!name) {
+                        throw new UnsupportedAlgorithmError("Foreign: Unrecognised hash format");
+                    }
+                    valid = await adapters[name].compare(incoming, stored, options);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                resolve(valid);
+            }
+        );
+    }
+};
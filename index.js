@@ -3,40 +3,575 @@
  * Created by Thomas Sham on 9/10/2017.
  */
 
-module.exports = (hashingAlgorithm) => {
-    let algorithm = Object.keys(hashingAlgorithm).filter(
-        (key, ind, arr) => !!hashingAlgorithm[key]
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const pepper = require("./pepper");
+const Pool = require("./pool");
+const abort = require("./abort");
+const canonicalize = require("./canonicalize");
+const PasswordPolicy = require("./policy");
+const BreachChecker = require("./breach");
+const foreign = require("./foreign");
+const onion = require("./onion");
+const registry = require("./registry");
+const errors = require("./errors");
+const logger = require("./logger");
+const Metrics = require("./metrics");
+
+/**
+ * Algorithm, variant and parameters of a hash, as reported to hooks; never its salt or pepper.
+ * @param {?string} algorithm - Name of the algorithm in the registry.
+ * @param {*} stored - Password hash, without onion layer.
+ * @return {{ algorithm: ?string, variant: ?string, params: object }} The algorithm, and the variant and parameters
+ * decoded from the hash; null and empty if the processor of the algorithm does not decode its hashes.
+ */
+const describe = (algorithm, stored) => {
+    let variant = null;
+    let params = {};
+    try {
+        let contents = registry.inspect(algorithm, pepper.unwrap(stored).stored);
+        if (contents) {
+            ({ variant, params } = contents);
+        }
+    } catch (e) {
+        // Reported without parameters
+    }
+
+    return { algorithm, variant, params };
+};
+
+/**
+ * Outcome of a hash or compare that failed, as reported to hooks.
+ * @param {Error} error - The error.
+ * @return {string} aborted if it is aborted or timed out; error otherwise.
+ */
+const outcomeOf = (error) => error instanceof errors.AbortedError ? "aborted" : "error";
+
+/**
+ * Time a hash or compare, and report it to a hook once it settles. Errors of the
+ * hook are logged, and never change the result.
+ * @param {object} processor - Processor with the hooks.
+ * @param {string} hook - Name of the hook, onHash or onCompare.
+ * @param {function(): Promise} task - Hash or compare.
+ * @param {function(*, ?Error): object} event - Event by the result of the task, or by its error.
+ * @return {Promise} A promise for the result of the task.
+ */
+const observe = (processor, hook, task, event) => {
+    let start = performance.now();
+    let report = (result, error) => {
+        let duration = performance.now() - start;
+        try {
+            processor.hooks[hook](Object.assign(event(result, error), { duration }));
+        } catch (e) {
+            processor.logger.warn(`UserCredentialProcessor: Hook ${ hook } failed`, { error: e });
+        }
+    };
+
+    return task().then(
+        result => {
+            report(result, null);
+            return result;
+        },
+        e => {
+            report(undefined, e);
+            throw e;
+        }
     );
+};
 
-    if (algorithm.length > 1) {
-        throw new Error("UserCredentialProcessor: More than one algorithm enabled. ");
+/**
+ * Extend a processor class with the methods common to all algorithms.
+ * @param {Function} Processor - Processor class of an algorithm.
+ * @param {string} [name] - Name of the algorithm in the registry; the class detects hashes itself if not supplied.
+ * @return {Function} The extended processor class.
+ */
+const extend = (Processor, name) => class UserCredentialProcessor extends Processor {
+    /**
+     * Create a processor instance by options supplied.
+     * @param {object} [options] - Options of the algorithm, and the following.
+     * @param {Pool|object} [options.pool] - Pool, or options of a new pool, that hash and compare run in; unbounded if not supplied.
+     * @param {object} [options.canonicalize] - Canonicalization of passwords (refer to canonicalize.js); left as they are if not supplied.
+     * @param {PasswordPolicy|object} [options.policy] - Password policy, or options of a new one, enforced by hash; not enforced if not supplied.
+     * @param {object} [options.breach] - Check of passwords hashed against a breach dataset; not checked if not supplied.
+     * @param {BreachChecker|object} options.breach.checker - Breach checker, or options of a new one.
+     * @param {string} [options.breach.action] - reject (default) to refuse breached passwords, or flag to hash them and call onBreach.
+     * @param {number} [options.breach.threshold] - Least count of appearances for a password to be breached; 1 by default.
+     * @param {function(number, object)} [options.breach.onBreach] - Called with the count and the context when a breached password is flagged.
+     * @param {boolean|string[]|object} [options.foreign] - Adapters of foreign hash formats (refer to foreign.js) compare may verify, true for all of them;
+     * or { adapters, shacrypt }, adapters either of those and shacrypt the limits of SHA-crypt, { maxRounds, maxPasswordLength }; none if not supplied.
+     * @param {object} [options.hooks] - Hooks observing hash and compare, e.g. those of Metrics (refer to metrics.js); nothing is timed if not supplied.
+     * @param {function(object)} [options.hooks.onHash] - Called when a hash settles, with { operation, algorithm, variant, params, outcome, error, duration }:
+     * outcome is success, error or aborted, error the code of the error, and duration in milliseconds.
+     * @param {function(object)} [options.hooks.onCompare] - Called when a compare settles, with the same and rehash, whether a matching hash
+     * should be made again; outcome is match, mismatch, error or aborted.
+     */
+    constructor (options) {
+        let { pool, canonicalize: canonicalization, policy, breach, foreign: foreignAdapters, hooks, ...processorOptions } = options || {};
+        super(options && typeof options === "object" ? processorOptions : options);
+
+        if (pool) {
+            this.pool = pool instanceof Pool ? pool : new Pool(pool);
+        }
+        if (policy) {
+            this.policy = policy instanceof PasswordPolicy ? policy : new PasswordPolicy(policy);
+        }
+        if (breach) {
+            let { checker, ...breachOptions } = breach;
+            this.breach = Object.assign(
+                {
+                    action: "reject",
+                    threshold: 1
+                },
+                breachOptions,
+                {
+                    checker: checker instanceof BreachChecker ? checker : new BreachChecker(checker)
+                }
+            );
+        }
+        if (foreignAdapters) {
+            let { adapters, ...adapterOptions } = typeof foreignAdapters === "object" && !Array.isArray(foreignAdapters) ?
+                foreignAdapters :
+                { adapters: foreignAdapters };
+            this.foreign = Array.isArray(adapters) ? adapters : foreign.names;
+            let shared = options && typeof options === "object" ? processorOptions : {};
+            this.foreignOptions = Object.assign(name ? { logger: shared.logger, [name]: shared } : Object.assign({}, shared), adapterOptions);
+        }
+        if (hooks) {
+            this.hooks = hooks;
+            this.logger = this.logger || logger.from(processorOptions.logger);
+        }
+        if (canonicalization) {
+            this.canonicalization = canonicalize.validate(canonicalization);
+        }
     }
 
-    let normalizedAlgorithm = algorithm[0].toLowerCase();
+    /**
+     * Name of the foreign adapter of a stored hash, if it is of no algorithm of the processor.
+     * @param {string} stored - Password hash stored in database.
+     * @return {?string} Name of the adapter; null if the hash is of an algorithm of the processor, or no enabled adapter recognises it.
+     */
+    detectForeign (stored) {
+        if (!this.foreign) {
+            return null;
+        }
+
+        let native = name ?
+            registry.test(name, pepper.unwrap(stored).stored) :
+            !!super.detect(stored);
+        return native ? null : foreign.detect(stored, this.foreign);
+    }
+
+    /**
+     * Hash a canonicalized password, in the pool if there is one, once it meets the policy if there is one,
+     * and once it is checked against the breach dataset if there is one.
+     * @param {string} password - Password.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @param {object} [options.context] - Values specific to the user for the policy, e.g. { username, email }.
+     * @param {AbortSignal} [options.signal] - Signal aborting the hash (refer to abort.js).
+     * @param {number} [options.timeoutMs] - Most milliseconds the hash, with the checks, may take.
+     * @return {Promise<string>} A promise for the hashed password; rejected with PasswordRejectedError if the
+     * password cannot be canonicalized, if it does not meet the policy, with the reasons in the error, or if it
+     * is breached and breached passwords are refused, with the count in the error; rejected with AbortedError
+     * once it is aborted or timed out.
+     */
+    hash (password, options) {
+        let { context, signal, timeoutMs, ...hashOptions } = options || {};
+        options = options && typeof options === "object" ? hashOptions : options;
+
+        return new Promise(
+            async (resolve, reject) => {
+                let watched;
+                let hash;
+                try {
+                    watched = abort.watch({ signal, timeoutMs });
+                    let aborting = watched && watched.signal;
+                    let canonical = canonicalize(password, this.canonicalization);
+
+                    if (this.policy) {
+                        let result = this.policy.check(canonical, context);
+                        if (!result.valid) {
+                            throw new errors.PasswordRejectedError(
+                                "UserCredentialProcessor: Password does not meet the policy",
+                                { reasons: result.reasons, score: result.score }
+                            );
+                        }
+                    }
+
+                    if (this.breach) {
+                        let count = await abort.run(() => this.breach.checker.count(canonical), aborting);
+                        if (count >= this.breach.threshold) {
+                            if (this.breach.action === "reject") {
+                                throw new errors.PasswordRejectedError(
+                                    "UserCredentialProcessor: Password has appeared in a data breach",
+                                    { count }
+                                );
+                            }
+                            if (typeof this.breach.onBreach === "function") {
+                                this.breach.onBreach(count, context);
+                            }
+                        }
+                    }
+
+                    hash = await this.hashWithoutPolicy(
+                        password,
+                        aborting ? Object.assign({}, options, { signal: aborting }) : options
+                    );
+                } catch (e) {
+                    reject(e);
+                    return;
+                } finally {
+                    if (watched) {
+                        watched.dispose();
+                    }
+                }
+
+                resolve(hash);
+            }
+        );
+    }
 
-    switch (normalizedAlgorithm) {
-        case "argon2": {
-            const Argon2Processor = require("./argon2");
-            return class UserCredentialProcessor extends Argon2Processor {};
+    /**
+     * Hash a canonicalized password, in the pool if there is one, regardless of the policy and the breach dataset.
+     * Rehashing a password which has been compared, and hashing decoys, go this way.
+     * @param {string} password - Password.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @param {AbortSignal} [options.signal] - Signal aborting the hash (refer to abort.js).
+     * @param {number} [options.timeoutMs] - Most milliseconds the hash, with the wait for the pool, may take.
+     * @return {Promise<string>} A promise for the hashed password; rejected if the password cannot be canonicalized,
+     * and with AbortedError once it is aborted or timed out.
+     */
+    hashWithoutPolicy (password, options) {
+        let { signal, timeoutMs, ...hashOptions } = options || {};
+        options = options && typeof options === "object" ? hashOptions : options;
+
+        let watched;
+        try {
+            password = canonicalize(password, this.canonicalization);
+            watched = abort.watch({ signal, timeoutMs });
+        } catch (e) {
+            return Promise.reject(e);
         }
 
-        case "bcrypt": {
-            const BcryptProcessor = require("./bcrypt");
-            return class UserCredentialProcessor extends BcryptProcessor {};
+        let aborting = watched && watched.signal;
+        let hash = () => super.hash(password, options);
+        let run = () => this.pool ? this.pool.run(hash, aborting) : abort.run(hash, aborting);
+        let task = watched ? () => run().finally(watched.dispose) : run;
+        if (!this.hooks || typeof this.hooks.onHash !== "function") {
+            return task();
         }
 
-        case "pbkdf2": {
-            const PBKDF2Processor = require("./PBKDF2");
-            return class UserCredentialProcessor extends PBKDF2Processor {};
+        let algorithm = name || this.primary;
+        return observe(
+            this,
+            "onHash",
+            task,
+            (hashed, error) => Object.assign(
+                { operation: "hash" },
+                error ? { algorithm, variant: null, params: {} } : describe(algorithm, hashed),
+                error ? { outcome: outcomeOf(error), error: error.code || error.name } : { outcome: "success" }
+            )
+        );
+    }
+
+    /**
+     * Compare a canonicalized incoming password with the stored password hash, in the pool if there is one.
+     * Onion hashes are compared with the incoming password transformed as the legacy system did,
+     * and hashes of enabled foreign formats are verified by their adapters.
+     * @param {string} incoming - Incoming password.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Cancellation of the compare.
+     * @param {AbortSignal} [options.signal] - Signal aborting the compare (refer to abort.js).
+     * @param {number} [options.timeoutMs] - Most milliseconds the compare, with the wait for the pool, may take.
+     * @return {Promise<boolean>} A promise for whether the incoming plain password and the hash is a match;
+     * false if canonicalization rejects the password, as no hash could have been made of it; rejected with
+     * AbortedError once it is aborted or timed out.
+     */
+    compare (incoming, stored, options) {
+        try {
+            incoming = canonicalize(incoming, this.canonicalization);
+        } catch (e) {
+            return e instanceof errors.PasswordRejectedError ? Promise.resolve(false) : Promise.reject(e);
         }
 
-        case "scrypt": {
-            const ScryptProcessor = require("./scrypt");
-            return class UserCredentialProcessor extends ScryptProcessor {};
+        let watched;
+        try {
+            watched = abort.watch(options);
+        } catch (e) {
+            return Promise.reject(e);
         }
 
-        default: {
-            throw new Error("UserCredentialProcessor: Unknown algorithm");
+        let { layer, stored: inner } = onion.unwrap(stored);
+        let adapter = layer ? null : this.detectForeign(stored);
+        let compare;
+        if (layer) {
+            let transformed = onion.apply(incoming, layer);
+            compare = () => super.compare(transformed, inner);
+        } else if (adapter) {
+            compare = () => foreign.compare(incoming, stored, this.foreign, this.foreignOptions);
+        } else {
+            compare = () => super.compare(incoming, stored);
         }
+        let aborting = watched && watched.signal;
+        let run = () => this.pool ? this.pool.run(compare, aborting) : abort.run(compare, aborting);
+        let task = watched ? () => run().finally(watched.dispose) : run;
+        if (!this.hooks || typeof this.hooks.onCompare !== "function") {
+            return task();
+        }
+
+        return observe(
+            this,
+            "onCompare",
+            task,
+            (valid, error) => Object.assign(
+                { operation: "compare" },
+                adapter ?
+                    { algorithm: "foreign", variant: adapter, params: {} } :
+                    describe(name || this.detect(inner), inner),
+                error ?
+                    { outcome: outcomeOf(error), error: error.code || error.name, rehash: false } :
+                    { outcome: valid ? "match" : "mismatch", rehash: valid && this.needsRehash(stored) }
+            )
+        );
+    }
+
+    /**
+     * Whether a stored hash should be replaced by a new hash, always so for onion hashes and hashes of foreign formats.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @return {boolean} true if the password should be hashed again.
+     */
+    needsRehash (stored, options) {
+        return !!onion.unwrap(stored).layer ||
+            !!this.detectForeign(stored) ||
+            (typeof super.needsRehash === "function" && super.needsRehash(stored, options));
+    }
+
+    /**
+     * A promise for an onion hash of a legacy hash.
+     *
+     * @promise LegacyHashWrappingPromise
+     * @fulfill {string} The onion hash, to be stored in place of the legacy hash.
+     * @reject {UserCredentialError} UnsupportedAlgorithmError for an unsupported legacy hash, or error of hashing (refer to errors.js).
+     *
+     * Hash a legacy MD5 or SHA-1 hash by the algorithm of the processor, without the password (refer to onion.js).
+     * compare verifies the onion hash, and verifyAndRehash replaces it with a plain hash at the next login.
+     * @param {string} legacy - MD5 or SHA-1 hash of a format the digest adapter of foreign.js verifies, e.g. unsalted hex.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @return {LegacyHashWrappingPromise} A promise for the onion hash.
+     */
+    wrapLegacy (
+        legacy,
+        options
+    ) {
+        return new Promise(
+            async (resolve, reject) => {
+                let wrapped;
+                try {
+                    let { layer, inner } = onion.peel(legacy);
+                    let stored = await (
+                        this.pool ?
+                            this.pool.run(() => super.hash(inner, options)) :
+                            super.hash(inner, options)
+                    );
+                    wrapped = onion.wrap(stored, layer);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                resolve(wrapped);
+            }
+        );
+    }
+
+    /**
+     * A promise for comparing an incoming plain password with a hash, and hashing it again
+     * when the stored hash is weaker than currently configured.
+     *
+     * @promise VerifyAndRehashPromise
+     * @fulfill {{ valid: boolean, newHash: ?string }} Whether the incoming plain password and the hash is a match,
+     * and the new hash to be stored in place of the old one; null if no rehashing is needed, or if rehashing is
+     * aborted or timed out, so that it is left to the next login.
+     * @reject {Error} Internal error of the hashing function, or AbortedError if comparing is aborted or timed out.
+     *
+     * Compare an incoming password with the stored password hash, and hash it again if needed.
+     * @param {string} incoming - Incoming password.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @param {AbortSignal} [options.signal] - Signal aborting comparing and rehashing (refer to abort.js).
+     * @param {number} [options.timeoutMs] - Most milliseconds comparing and rehashing may take together.
+     * @return {VerifyAndRehashPromise} A promise for the result of comparing and the new hash.
+     */
+    verifyAndRehash (
+        incoming,
+        stored,
+        options
+    ) {
+        let { signal, timeoutMs, ...rehashOptions } = options || {};
+
+        return new Promise(
+            async (resolve, reject) => {
+                let watched;
+                let valid;
+                let newHash = null;
+                try {
+                    watched = abort.watch({ signal, timeoutMs });
+                    let aborting = watched ? { signal: watched.signal } : {};
+                    valid = await this.compare(incoming, stored, aborting);
+                    if (valid && this.needsRehash(stored, rehashOptions)) {
+                        newHash = await this.hashWithoutPolicy(incoming, Object.assign({}, rehashOptions, aborting)).catch(
+                            e => {
+                                if (e instanceof errors.AbortedError) {
+                                    return null;
+                                }
+                                throw e;
+                            }
+                        );
+                    }
+                } catch (e) {
+                    reject(e);
+                    return;
+                } finally {
+                    if (watched) {
+                        watched.dispose();
+                    }
+                }
+
+                resolve({ valid, newHash });
+            }
+        );
+    }
+
+    /**
+     * Make the decoy hash that compareMissing compares against, e.g. at startup, so that every call
+     * of it costs one compare.
+     * @return {Promise} A promise settled once the decoy is made; rejected with the error of hashing.
+     */
+    prepareDecoy () {
+        return this.hashWithoutPolicy(crypto.randomBytes(32).toString("hex")).then(
+            decoy => {
+                this.decoy = this.decoy || decoy;
+            }
+        );
+    }
+
+    /**
+     * A promise for comparing an incoming plain password of a user that does not exist.
+     *
+     * It takes about as long as compare does, so that response times do not reveal
+     * which users exist. It compares against a decoy hash of a random password with
+     * the current options, made by prepareDecoy. Until there is one, each call hashes
+     * a random password of its own instead, which costs about one compare, and the
+     * first of those hashes is kept as the decoy.
+     *
+     * @promise IncomingPasswordMissingComparePromise
+     * @fulfill {boolean} Always false.
+     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     *
+     * Compare an incoming password with a decoy hash.
+     * @param {string} incoming - Incoming password.
+     * @param {object} [options] - Cancellation of the compare, as of compare.
+     * @return {IncomingPasswordMissingComparePromise} A promise for comparing an incoming plain password with a decoy hash
+     */
+    compareMissing (
+        incoming,
+        options
+    ) {
+        return new Promise(
+            async (resolve, reject) => {
+                let watched;
+                try {
+                    watched = abort.watch(options);
+                    let cancellation = watched ? { signal: watched.signal } : undefined;
+                    if (this.decoy) {
+                        await this.compare(incoming, this.decoy, cancellation);
+                    } else {
+                        let decoy = await this.hashWithoutPolicy(crypto.randomBytes(32).toString("hex"), cancellation);
+                        this.decoy = this.decoy || decoy;
+                    }
+                } catch (e) {
+                    reject(e);
+                    return;
+                } finally {
+                    if (watched) {
+                        watched.dispose();
+                    }
+                }
+
+                resolve(false);
+            }
+        );
     }
 };
+
+/**
+ * Get the processor class of the enabled algorithm.
+ *
+ * Algorithms are looked up in the registry, where other algorithms can be added by register.
+ * More than one algorithm may be enabled when one of them is named primary, e.g.
+ * { argon2: true, bcrypt: true, primary: "argon2" }. The returned class then hashes
+ * with the primary algorithm and compares hashes of all the enabled ones.
+ * @param {object} hashingAlgorithm - Algorithms to be enabled, keyed by name.
+ * @param {string} [hashingAlgorithm.primary] - Algorithm used for hashing when more than one is enabled.
+ * @return {Function} The processor class.
+ */
+module.exports = (hashingAlgorithm) => {
+    let algorithm = Object.keys(hashingAlgorithm).filter(
+        (key, ind, arr) => key !== "primary" && !!hashingAlgorithm[key]
+    );
+
+    if (algorithm.length > 1) {
+        if (!hashingAlgorithm.primary) {
+            throw new errors.ConfigurationError("UserCredentialProcessor: More than one algorithm enabled without a primary one. ");
+        }
+
+        const CompositeProcessor = require("./composite");
+        const algorithms = algorithm.map(key => key.toLowerCase());
+        const primary = String(hashingAlgorithm.primary).toLowerCase();
+        return extend(
+            class extends CompositeProcessor {
+                constructor (options) {
+                    super(Object.assign({}, options, { primary, algorithms }));
+                }
+            }
+        );
+    }
+
+    let normalizedAlgorithm = algorithm[0].toLowerCase();
+    if (!registry.has(normalizedAlgorithm)) {
+        throw new errors.UnsupportedAlgorithmError("UserCredentialProcessor: Unknown algorithm");
+    }
+
+    return extend(registry.get(normalizedAlgorithm), normalizedAlgorithm);
+};
+
+/**
+ * Whether a stored hash was not made with the current pepper key, and so the
+ * password should be hashed again at the next login.
+ * @param {string} stored - Password hash stored in database.
+ * @param {?object} keyring - Pepper keyring (refer to pepper.js).
+ * @return {boolean} true if the hash is made with a retired pepper key, or without the current pepper.
+ */
+module.exports.needsPepperRotation = (stored, keyring) => pepper.needsRotation(stored, keyring);
+
+module.exports.calibrate = require("./calibrate");
+module.exports.selfTest = require("./selftest");
+module.exports.Pool = Pool;
+module.exports.PasswordPolicy = PasswordPolicy;
+module.exports.BreachChecker = BreachChecker;
+module.exports.Metrics = Metrics;
+module.exports.TokenManager = require("./tokens");
+module.exports.MemoryTokenStore = require("./tokenstore");
+module.exports.register = (name, Processor, options) => registry.register(name, Processor, options);
+module.exports.capabilities = (name) => registry.capabilities(name);
+module.exports.algorithms = () => registry.names();
+module.exports.UserCredentialError = errors.UserCredentialError;
+module.exports.MalformedHashError = errors.MalformedHashError;
+module.exports.UnsupportedAlgorithmError = errors.UnsupportedAlgorithmError;
+module.exports.ParameterOutOfRangeError = errors.ParameterOutOfRangeError;
+module.exports.BackendUnavailableError = errors.BackendUnavailableError;
+module.exports.ConfigurationError = errors.ConfigurationError;
+module.exports.PasswordRejectedError = errors.PasswordRejectedError;
+module.exports.AbortedError = errors.AbortedError;
+module.exports.inspect = require("./inspect").inspect;
+module.exports.audit = require("./inspect").audit;
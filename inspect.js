@@ -0,0 +1,193 @@
+const pepper = require("./pepper");
+const onion = require("./onion");
+const foreign = require("./foreign");
+const registry = require("./registry");
+const { UnsupportedAlgorithmError } = require("./errors");
+
+/**
+ * Minimum strength of hashes, after the Password Storage Cheat Sheet of OWASP.
+ */
+const defaults = {
+    /**
+     * Algorithms accepted.
+     */
+    algorithms: ["argon2", "scrypt", "bcrypt", "pbkdf2"],
+
+    argon2: {
+        variants: ["argon2id"],
+        memoryCost: 19456,
+        timeCost: 2,
+        parallelism: 1
+    },
+
+    bcrypt: {
+        saltRounds: 10
+    },
+
+    /**
+     * Least iterations of each digest accepted.
+     */
+    pbkdf2: {
+        iterations: {
+            sha1: 1300000,
+            sha256: 600000,
+            sha512: 210000
+        }
+    },
+
+    scrypt: {
+        cost: 131072,
+        blockSize: 8,
+        parallelization: 1
+    },
+
+    saltBytes: 16,
+
+    hashBytes: 16,
+
+    /**
+     * Whether hashes must be peppered.
+     */
+    pepper: false
+};
+
+const messages = {
+    ALGORITHM: "The algorithm is not accepted.",
+    VARIANT: "The variant of the algorithm is not accepted.",
+    PARAMETER: "A parameter is below the minimum.",
+    SALT: "The salt is shorter than the minimum.",
+    OUTPUT: "The hash is shorter than the minimum.",
+    LEGACY_FORMAT: "The hash is a legacy hex blob, which does not record all of its parameters.",
+    ONION: "The hash is an onion hash of a legacy digest.",
+    FOREIGN: "The hash is of a foreign format.",
+    PEPPER: "The hash is not peppered."
+};
+
+/**
+ * Decode what is inside a stored hash.
+ * @param {string} stored - Password hash stored in database.
+ * @return {{ algorithm: string, variant: ?string, format: string, params: object, saltBytes: ?number, hashBytes: ?number,
+ * pepper: ?{ id: string, mode: string }, onion: ?string }} Contents of the hash; algorithm is foreign, and variant the name of
+ * the adapter, for hashes of foreign formats (refer to foreign.js), whose other contents are left null, as they are
+ * for registered algorithms whose processors do not decode their hashes.
+ */
+const inspect = (stored) => {
+    let { layer, stored: outer } = onion.unwrap(stored);
+    let { id, mode, stored: inner } = pepper.unwrap(outer);
+
+    let algorithm = registry.detect(inner);
+
+    let contents;
+    if (algorithm) {
+        contents = registry.inspect(algorithm, inner) || {
+            algorithm,
+            variant: null,
+            format: null,
+            params: {},
+            saltBytes: null,
+            hashBytes: null
+        };
+    } else {
+        let adapter = !layer && !id ? foreign.detect(stored) : null;
+        if (!adapter) {
+            throw new UnsupportedAlgorithmError("Inspect: Unrecognised hash format");
+        }
+
+        contents = {
+            algorithm: "foreign",
+            variant: adapter,
+            format: adapter,
+            params: {},
+            saltBytes: null,
+            hashBytes: null
+        };
+    }
+
+    return Object.assign(contents, {
+        pepper: id ? { id, mode } : null,
+        onion: layer ? layer.digest : null
+    });
+};
+
+/**
+ * Audit a stored hash against a minimum-strength policy.
+ * @param {string} stored - Password hash stored in database.
+ * @param {object} [policy] - Minimum strength; OWASP recommendations by default.
+ * @param {string[]} [policy.algorithms] - Algorithms accepted.
+ * @param {object} [policy.argon2] - variants accepted, and least memoryCost, timeCost and parallelism.
+ * @param {object} [policy.bcrypt] - Least saltRounds.
+ * @param {object} [policy.pbkdf2] - Least iterations, keyed by digest; other digests are not accepted.
+ * @param {object} [policy.scrypt] - Least cost, blockSize and parallelization.
+ * @param {number} [policy.saltBytes] - Least salt length in bytes.
+ * @param {number} [policy.hashBytes] - Least hash length in bytes.
+ * @param {boolean} [policy.pepper] - Whether hashes must be peppered.
+ * @return {{ compliant: boolean, inspection: object, findings: object[] }} Whether the hash meets the policy,
+ * what is inside it (refer to inspect), and where it falls short, each finding with a code and a message.
+ */
+const audit = (stored, policy) => {
+    policy = Object.assign({}, defaults, policy);
+    let inspection = inspect(stored);
+    let { algorithm, variant, format, params, saltBytes, hashBytes } = inspection;
+    let findings = [];
+    let find = (code, details) => findings.push(Object.assign({ code, message: messages[code] }, details));
+
+    if (algorithm === "foreign") {
+        find("FOREIGN", { adapter: variant });
+        return { compliant: false, inspection, findings };
+    }
+
+    if (inspection.onion) {
+        find("ONION", { digest: inspection.onion });
+    }
+    if (policy.pepper && !inspection.pepper) {
+        find("PEPPER");
+    }
+    if (format === "legacy") {
+        find("LEGACY_FORMAT");
+    }
+    if (!policy.algorithms.includes(algorithm)) {
+        find("ALGORITHM", { algorithm });
+    }
+
+    let minimum = Object.assign({}, policy[algorithm]);
+    if (algorithm === "argon2" && minimum.variants && !minimum.variants.includes(variant)) {
+        find("VARIANT", { variant });
+    }
+    if (algorithm === "pbkdf2") {
+        let iterations = variant && minimum.iterations ? minimum.iterations[variant.toLowerCase()] : undefined;
+        if (iterations === undefined) {
+            find("VARIANT", { variant });
+        }
+        minimum = { iterations };
+    }
+    Object.keys(params).forEach(
+        param => {
+            if (
+                typeof minimum[param] === "number" &&
+                params[param] !== null &&
+                !(params[param] >= minimum[param])
+            ) {
+                find("PARAMETER", { param, value: params[param], minimum: minimum[param] });
+            }
+        }
+    );
+
+    if (saltBytes < policy.saltBytes) {
+        find("SALT", { saltBytes, minimum: policy.saltBytes });
+    }
+    if (hashBytes < policy.hashBytes) {
+        find("OUTPUT", { hashBytes, minimum: policy.hashBytes });
+    }
+
+    return {
+        compliant: findings.length === 0,
+        inspection,
+        findings
+    };
+};
+
+module.exports = {
+    inspect,
+    audit,
+    defaults
+};
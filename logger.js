@@ -0,0 +1,24 @@
+/**
+ * Logging of failures. Nothing is logged unless a logger is injected, e.g.
+ * { logger: console } or an instance of pino or winston; a logger need not
+ * have all of the levels.
+ */
+
+const levels = ["error", "warn", "info", "debug"];
+
+module.exports = {
+    /**
+     * Get a logger with all of the levels.
+     * @param {?object} [logger] - Logger with error, warn, info and debug methods taking a message and details.
+     * @return {object} A logger whose missing levels do nothing.
+     */
+    from (logger) {
+        let complete = {};
+        levels.forEach(
+            level => complete[level] = logger && typeof logger[level] === "function" ?
+                logger[level].bind(logger) :
+                () => {}
+        );
+        return complete;
+    }
+};
@@ -0,0 +1,154 @@
+const { ConfigurationError } = require("./errors");
+
+const defaults = {
+    /**
+     * Upper bounds of the buckets of durations, in seconds.
+     */
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+
+    /**
+     * Prefix of the names of the metrics.
+     */
+    prefix: "user_credential_processor"
+};
+
+/**
+ * Escape a value of a label of the Prometheus text format.
+ * @param {*} value - Value.
+ * @return {string} The escaped value.
+ */
+const escape = (value) => String(value === null || value === undefined ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, "\\\"");
+
+/**
+ * Format labels of the Prometheus text format.
+ * @param {object} labels - Labels.
+ * @return {string} The labels in braces.
+ */
+const format = (labels) => `{${ Object.keys(labels).map(label => `${ label }="${ escape(labels[label]) }"`).join(",") }}`;
+
+/**
+ * Histograms of the durations of hash and compare, kept in memory and exposed in
+ * the text format of Prometheus, by operation, algorithm and outcome; and a counter
+ * of the compares after which the hash should be made again, by algorithm.
+ *
+ * Pass its hooks to a processor, and serve text() at the endpoint scraped.
+ */
+module.exports = class Metrics {
+    /**
+     * Create a recorder of metrics by options supplied.
+     * @param {object} [options] - Configuration.
+     * @param {number[]} [options.buckets] - Upper bounds of the buckets of durations, in seconds, in increasing order.
+     * @param {string} [options.prefix] - Prefix of the names of the metrics; user_credential_processor by default.
+     */
+    constructor (
+        options
+    ) {
+        this.options = Object.assign({}, defaults, options);
+
+        let { buckets, prefix } = this.options;
+        if (
+            !Array.isArray(buckets) ||
+            buckets.length === 0 ||
+            buckets.some((bound, i) => typeof bound !== "number" || !(bound > (i > 0 ? buckets[i - 1] : -Infinity)))
+        ) {
+            throw new ConfigurationError("Metrics: Buckets must be numbers in increasing order");
+        }
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix)) {
+            throw new ConfigurationError("Metrics: Prefix must be a valid metric name");
+        }
+
+        /**
+         * Hooks to be passed to a processor, e.g. new Processor({ hooks: metrics.hooks }).
+         */
+        this.hooks = {
+            onHash: event => this.observe(event),
+            onCompare: event => this.observe(event)
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Record an event of hash or compare.
+     * @param {object} event - Event, as passed to the hooks of a processor.
+     */
+    observe (
+        event
+    ) {
+        let labels = {
+            operation: event.operation,
+            algorithm: event.algorithm,
+            outcome: event.outcome
+        };
+        let key = format(labels);
+        let series = this.durations[key] = this.durations[key] || {
+            labels,
+            counts: this.options.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        };
+
+        let seconds = event.duration / 1000;
+        this.options.buckets.forEach(
+            (bound, i) => {
+                if (seconds <= bound) {
+                    series.counts[i] += 1;
+                }
+            }
+        );
+        series.sum += seconds;
+        series.count += 1;
+
+        if (event.rehash) {
+            let algorithm = escape(event.algorithm);
+            this.rehashes[algorithm] = (this.rehashes[algorithm] || 0) + 1;
+        }
+    }
+
+    /**
+     * Metrics in the text format of Prometheus.
+     * @return {string} The metrics, for the endpoint scraped.
+     */
+    text () {
+        let { buckets, prefix } = this.options;
+        let duration = `${ prefix }_duration_seconds`;
+        let rehash = `${ prefix }_rehash_recommended_total`;
+
+        let lines = [
+            `# HELP ${ duration } Duration of hash and compare in seconds.`,
+            `# TYPE ${ duration } histogram`
+        ];
+        Object.keys(this.durations).sort().forEach(
+            key => {
+                let { labels, counts, sum, count } = this.durations[key];
+                buckets.forEach(
+                    (bound, i) => lines.push(`${ duration }_bucket${ format(Object.assign({}, labels, { le: bound })) } ${ counts[i] }`)
+                );
+                lines.push(`${ duration }_bucket${ format(Object.assign({}, labels, { le: "+Inf" })) } ${ count }`);
+                lines.push(`${ duration }_sum${ key } ${ sum }`);
+                lines.push(`${ duration }_count${ key } ${ count }`);
+            }
+        );
+
+        lines.push(
+            `# HELP ${ rehash } Matching compares whose hash should be made again.`,
+            `# TYPE ${ rehash } counter`
+        );
+        Object.keys(this.rehashes).sort().forEach(
+            algorithm => lines.push(`${ rehash }{algorithm="${ algorithm }"} ${ this.rehashes[algorithm] }`)
+        );
+
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Forget everything recorded.
+     */
+    reset () {
+        this.durations = {};
+        this.rehashes = {};
+    }
+};
@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const foreign = require("./foreign");
+const { UnsupportedAlgorithmError } = require("./errors");
+
+/**
+ * Onion-wrapping: an MD5 or SHA-1 hash of a legacy system is hashed again, offline,
+ * by a strong algorithm, so that weak hashes can be got rid of without waiting for
+ * every user to log in, e.g. argon2(sha1(password)).
+ *
+ * The hex of the legacy digest is taken as the password of the strong algorithm, and
+ * the legacy transform is stored alongside the hash,
+ * $onion$<digest>[,salt=<base64>,salted=<before|after>]$<hash>, so that incoming
+ * passwords can be transformed likewise before comparing. Onion hashes should be
+ * replaced by plain ones at the next login.
+ */
+
+const marker = /^\$onion\$(md5|sha1)(?:,salt=([A-Za-z0-9+/]*),salted=(before|after))?\$/;
+
+module.exports = {
+    /**
+     * Take the legacy transform and the digest out of a legacy hash.
+     * @param {string} legacy - MD5 or SHA-1 hash of a format the digest adapter of foreign.js verifies.
+     * @return {{ layer: { digest: string, salt: Buffer, salted: string }, inner: string }} The transform, and
+     * the hex of the digest to be hashed by the strong algorithm.
+     */
+    peel (legacy) {
+        let parsed = foreign.parseDigest(legacy);
+        if (!parsed) {
+            throw new UnsupportedAlgorithmError("Onion: Unsupported legacy hash");
+        }
+
+        let { digest, salt, salted, hash } = parsed;
+        return {
+            layer: { digest, salt, salted },
+            inner: hash.toString("hex")
+        };
+    },
+
+    /**
+     * Store a legacy transform alongside a hash.
+     * @param {string} stored - Hash of the hex of the legacy digest.
+     * @param {object} layer - The legacy transform.
+     * @return {string} The onion hash.
+     */
+    wrap (stored, { digest, salt, salted }) {
+        let params = salt && salt.length > 0 ?
+            `,salt=${ salt.toString("base64").replace(/=+$/, "") },salted=${ salted }` :
+            "";
+        return `$onion$${ digest }${ params }$${ stored }`;
+    },
+
+    /**
+     * Separate the legacy transform from a hash.
+     * @param {string} stored - Password hash stored in database.
+     * @return {{ layer: ?object, stored: string }} The legacy transform; null if the hash is not an onion hash.
+     */
+    unwrap (stored) {
+        let matched = typeof stored === "string" ? marker.exec(stored) : null;
+        if (!matched) {
+            return { layer: null, stored };
+        }
+
+        return {
+            layer: {
+                digest: matched[1],
+                salt: Buffer.from(matched[2] || "", "base64"),
+                salted: matched[3] || "before"
+            },
+            stored: stored.slice(matched[0].length)
+        };
+    },
+
+    /**
+     * Transform an incoming password as the legacy system did.
+     * @param {string} password - Password.
+     * @param {object} layer - The legacy transform.
+     * @return {string} Hex of the legacy digest.
+     */
+    apply (password, { digest, salt, salted }) {
+        password = Buffer.from(password);
+        return crypto.createHash(digest)
+            .update(salted === "before" ? Buffer.concat([salt, password]) : Buffer.concat([password, salt]))
+            .digest("hex");
+    }
+};
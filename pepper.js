@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const { ConfigurationError, UnsupportedAlgorithmError } = require("./errors");
+
+/**
+ * Pepper: a server-side secret mixed into passwords, so that a leaked database
+ * alone is not enough to crack them.
+ *
+ * A pepper is configured as a keyring, e.g.
+ * {
+ *     keys: { "2019-01": "<secret>", "2019-07": "<secret>" },
+ *     current: "2019-07",
+ *     mode: "hmac"
+ * }
+ * New hashes are made with the current key. Its ID is stored alongside the hash,
+ * $pepper$id=<id>,m=<mode>$<hash>, so that hashes made with a retired key can be
+ * compared for as long as the key stays in the keyring.
+ *
+ * Mode is either hmac, an HMAC-SHA-256 of the password taken before hashing, or
+ * secret, the native secret input of Argon2. Other algorithms support hmac only.
+ */
+
+const marker = /^\$pepper\$id=([A-Za-z0-9_-]+),m=(hmac|secret)\$/;
+
+/**
+ * What a key ID may consist of, so that it can be stored in the marker.
+ */
+const keyId = /^[A-Za-z0-9_-]+$/;
+
+module.exports = {
+    /**
+     * Store a key ID alongside a hash.
+     * @param {string} stored - Password hash.
+     * @param {?string} id - ID of the key the hash was made with; the hash is left as it is if null.
+     * @param {string} [mode] - hmac or secret.
+     * @return {string} The hash with the key ID.
+     */
+    wrap (stored, id, mode = "hmac") {
+        if (!id) {
+            return stored;
+        }
+
+        if (!keyId.test(id)) {
+            throw new ConfigurationError("Pepper: Key ID must consist of letters, digits, _ and -");
+        }
+
+        return `$pepper$id=${ id },m=${ mode }$${ stored }`;
+    },
+
+    /**
+     * Separate the key ID from a hash.
+     * @param {string} stored - Password hash stored in database.
+     * @return {{ id: ?string, mode: ?string, stored: string }} Key ID and mode; null if the hash is not peppered.
+     */
+    unwrap (stored) {
+        let matched = typeof stored === "string" ? marker.exec(stored) : null;
+        if (!matched) {
+            return { id: null, mode: null, stored };
+        }
+
+        return {
+            id: matched[1],
+            mode: matched[2],
+            stored: stored.slice(matched[0].length)
+        };
+    },
+
+    /**
+     * Look up a key in the keyring.
+     * @param {object} pepper - Pepper keyring.
+     * @param {string} id - Key ID.
+     * @return {Buffer} The key.
+     */
+    key (pepper, id) {
+        if (
+            !pepper ||
+            !pepper.keys ||
+            !Object.prototype.hasOwnProperty.call(pepper.keys, id)
+        ) {
+            throw new ConfigurationError(`Pepper: Unknown key ${ id }`);
+        }
+
+        return Buffer.from(pepper.keys[id]);
+    },
+
+    /**
+     * The ID of the current key, checked before anything is hashed with it, so that a
+     * misconfigured keyring fails at hashing rather than when the hash is stored.
+     * @param {object} pepper - Pepper keyring.
+     * @return {string} ID of the current key.
+     */
+    current (pepper) {
+        if (typeof pepper.current !== "string" || !keyId.test(pepper.current)) {
+            throw new ConfigurationError("Pepper: Key ID must consist of letters, digits, _ and -");
+        }
+
+        return pepper.current;
+    },
+
+    /**
+     * Pre-hash a password with a key.
+     * @param {string} password - Password.
+     * @param {Buffer} key - Key.
+     * @return {string} Base64 HMAC-SHA-256 of the password, which is short and free of NUL for every algorithm.
+     */
+    hmac (password, key) {
+        return crypto.createHmac("sha256", key).update(password).digest("base64");
+    },
+
+    /**
+     * Pre-hash a password with the current key for hashing.
+     * @param {string} password - Password.
+     * @param {?object} pepper - Pepper keyring; the password is left as it is if not supplied.
+     * @return {{ password: string, id: ?string }} The password to be hashed and the ID of the key.
+     */
+    apply (password, pepper) {
+        if (!pepper) {
+            return { password, id: null };
+        }
+
+        if (pepper.mode && pepper.mode !== "hmac") {
+            throw new UnsupportedAlgorithmError(`Pepper: Unsupported mode ${ pepper.mode }`);
+        }
+
+        let id = module.exports.current(pepper);
+        return {
+            password: module.exports.hmac(password, module.exports.key(pepper, id)),
+            id
+        };
+    },
+
+    /**
+     * Pre-hash an incoming password with the key a stored hash was made with.
+     * @param {string} incoming - Incoming password.
+     * @param {string} stored - Password hash stored in database.
+     * @param {?object} pepper - Pepper keyring.
+     * @return {{ incoming: string, stored: string }} The password and the hash to be compared.
+     */
+    prepare (incoming, stored, pepper) {
+        let { id, mode, stored: inner } = module.exports.unwrap(stored);
+        if (!id) {
+            return { incoming, stored };
+        }
+
+        if (mode !== "hmac") {
+            throw new UnsupportedAlgorithmError(`Pepper: Unsupported mode ${ mode }`);
+        }
+
+        return {
+            incoming: module.exports.hmac(incoming, module.exports.key(pepper, id)),
+            stored: inner
+        };
+    },
+
+    /**
+     * Whether a stored hash was not made with the current key, i.e. it is made with a
+     * retired key or mode, without a pepper, or with a pepper that is no longer configured.
+     * @param {string} stored - Password hash stored in database.
+     * @param {?object} pepper - Pepper keyring.
+     * @return {boolean} true if the password should be hashed again with the current key.
+     */
+    needsRotation (stored, pepper) {
+        let { id, mode } = module.exports.unwrap(stored);
+        if (!pepper) {
+            return id !== null;
+        }
+
+        return pepper.current !== id || (pepper.mode || "hmac") !== mode;
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Encoding of PHC strings: $<id>[$<param>=<value>(,<param>=<value>)*]$<salt>$<hash>
+ * Refer to https://github.com/P-H-C/phc-string-format/blob/master/phc-sf-spec.md
+ *
+ * Salt and hash are in unpadded base64. The adapted base64 of passlib, which has "."
+ * in place of "+", is accepted when parsing.
+ */
+
+const { MalformedHashError } = require("./errors");
+
+const encode = buffer => buffer.toString("base64").replace(/=+$/, "");
+
+const decode = string => {
+    if (!/^[A-Za-z0-9+/.]*$/.test(string)) {
+        throw new MalformedHashError("PHC: Malformed base64");
+    }
+    return Buffer.from(string.replace(/\./g, "+"), "base64");
+};
+
+module.exports = {
+    /**
+     * Whether a stored hash is a PHC string of one of the identifiers supplied.
+     * @param {string} stored - Password hash stored in database.
+     * @param {RegExp} id - Pattern of the identifiers.
+     * @return {boolean} true if the stored hash looks like such a PHC string.
+     */
+    test (stored, id) {
+        if (typeof stored !== "string") {
+            return false;
+        }
+
+        let matched = /^\$([a-z0-9-]+)\$/.exec(stored);
+        return !!matched && id.test(matched[1]);
+    },
+
+    /**
+     * Serialize into a PHC string.
+     * @param {object} fields - Fields of the PHC string.
+     * @param {string} fields.id - Algorithm identifier.
+     * @param {object} [fields.params] - Parameters, in the order to be serialized.
+     * @param {Buffer} fields.salt - Salt.
+     * @param {Buffer} fields.hash - Hash.
+     * @return {string} The PHC string.
+     */
+    serialize ({ id, params, salt, hash }) {
+        let fields = ["", id];
+        if (params && Object.keys(params).length > 0) {
+            fields.push(
+                Object.keys(params).map(key => `${ key }=${ params[key] }`).join(",")
+            );
+        }
+        fields.push(encode(salt), encode(hash));
+        return fields.join("$");
+    },
+
+    /**
+     * Parse a PHC string.
+     * @param {string} phc - The PHC string.
+     * @return {{ id: string, params: object, salt: Buffer, hash: Buffer }} Fields of the PHC string; values of params are left as strings.
+     */
+    deserialize (phc) {
+        let fields = typeof phc === "string" ? phc.split("$") : [];
+        if (
+            fields.length < 4 ||
+            fields.length > 5 ||
+            fields[0] !== "" ||
+            !/^[a-z0-9-]+$/.test(fields[1])
+        ) {
+            throw new MalformedHashError("PHC: Malformed string");
+        }
+
+        let params = {};
+        if (fields.length === 5) {
+            fields[2].split(",").forEach(
+                pair => {
+                    let matched = /^([a-z0-9-]+)=([A-Za-z0-9/+.-]+)$/.exec(pair);
+                    if (!matched) {
+                        throw new MalformedHashError("PHC: Malformed parameter");
+                    }
+                    params[matched[1]] = matched[2];
+                }
+            );
+        }
+
+        return {
+            id: fields[1],
+            params,
+            salt: decode(fields[fields.length - 2]),
+            hash: decode(fields[fields.length - 1])
+        };
+    }
+};
@@ -0,0 +1,374 @@
+/**
+ * Password policy after NIST SP 800-63B: length bounds, no composition rules, and
+ * rejection of common and context-specific passwords. Strength is estimated from
+ * the patterns a password is made of (dictionary words, keyboard walks, sequences,
+ * repeats and dates), in the manner of zxcvbn, rather than from its character classes;
+ * "Password1!" has four classes and is still among the first guesses.
+ */
+
+const defaults = {
+    /**
+     * Fewest characters of a password.
+     */
+    minLength: 8,
+
+    /**
+     * Most characters of a password; at least 64 should be allowed.
+     */
+    maxLength: 64,
+
+    /**
+     * Lowest score accepted, from 0 (too guessable) to 4 (very unguessable).
+     */
+    minScore: 2,
+
+    /**
+     * Words specific to the service, e.g. its name, rejected like the user's own.
+     */
+    context: []
+};
+
+/**
+ * Common passwords and their stems, by rank.
+ */
+const common = [
+    "password", "123456", "qwerty", "12345678", "111111", "123456789", "letmein", "1234567", "football",
+    "iloveyou", "admin", "welcome", "monkey", "login", "abc123", "starwars", "123123", "dragon",
+    "passw0rd", "master", "hello", "freedom", "whatever", "qazwsx", "trustno1", "654321", "jordan",
+    "harley", "robert", "matthew", "jordan23", "daniel", "andrew", "lakers", "andrea", "buster",
+    "joshua", "1qaz2wsx", "12341234", "ferrari", "cheese", "computer", "corvette", "blahblah",
+    "george", "mercedes", "121212", "maverick", "nicole", "hunter", "sunshine", "tigger",
+    "1989", "merlin", "ranger", "solo", "banana", "chelsea", "summer", "1990", "1991", "phoenix",
+    "amanda", "cookie", "ashley", "bandit", "killer", "aaaaaa", "pepper", "jessica", "zaq1zaq1",
+    "jennifer", "michael", "shadow", "baseball", "princess", "superman", "charlie", "michelle",
+    "secret", "access", "mustang", "batman", "soccer", "thomas", "hockey", "ginger", "azerty",
+    "changeme", "default", "administrator", "root", "guest", "user", "test", "love", "god", "money",
+    "flower", "angel", "baby", "family", "friends", "winter", "spring", "autumn", "ninja"
+];
+
+const ranks = common.reduce(
+    (ranks, word, rank) => {
+        if (!ranks.has(word)) {
+            ranks.set(word, rank + 1);
+        }
+        return ranks;
+    },
+    new Map()
+);
+
+const longest = Math.max(...common.map(word => word.length));
+
+const leet = {
+    "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "@": "a", "$": "s", "!": "i", "|": "l", "+": "t"
+};
+
+const keyboards = [
+    "`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", "zxcvbnm,./",
+    "azertyuiop", "qsdfghjklm", "wxcvbn", "qwertzuiop", "yxcvbnm"
+];
+
+const messages = {
+    TOO_SHORT: "Password is too short",
+    TOO_LONG: "Password is too long",
+    COMMON: "Password is among the most common passwords",
+    CONTEXT: "Password contains a word specific to the user or the service",
+    COMPLEXITY_THEATER: "Capitals, digits and symbols added to a common word are easy to guess",
+    WEAK: "Password is too easy to guess",
+    DICTIONARY: "Common words are easy to guess",
+    KEYBOARD: "Keyboard patterns are easy to guess",
+    SEQUENCE: "Sequences like abc or 321 are easy to guess",
+    REPEAT: "Repeated characters are easy to guess",
+    DATE: "Dates and years are easy to guess"
+};
+
+const log2 = Math.log2;
+
+const decorations = /^[0-9!@#$%^&*?._~-]+$/;
+
+/**
+ * Normalize leet substitutions of a lowercased password.
+ * @param {string} lower - Lowercased password.
+ * @return {string} The password with substitutions undone.
+ */
+const unleet = lower => lower.replace(/[013457@$!|+]/g, character => leet[character]);
+
+/**
+ * Bits of guessing the capitalization of a word.
+ * @param {string} word - The word as typed.
+ * @return {number} Bits.
+ */
+const capitalization = word => {
+    if (word === word.toLowerCase() || /^[A-Z][^A-Z]*$/.test(word) || word === word.toUpperCase()) {
+        return word === word.toLowerCase() ? 0 : 1;
+    }
+    return word.replace(/[^A-Z]/g, "").length;
+};
+
+/**
+ * Size of the alphabet a password is drawn from.
+ * @param {string[]} characters - Characters of the password.
+ * @return {number} Cardinality.
+ */
+const cardinality = characters => {
+    let size = 0;
+    if (characters.some(c => /[a-z]/.test(c))) size += 26;
+    if (characters.some(c => /[A-Z]/.test(c))) size += 26;
+    if (characters.some(c => /[0-9]/.test(c))) size += 10;
+    if (characters.some(c => /[\x20-\x2F\x3A-\x40\x5B-\x60\x7B-\x7E]/.test(c))) size += 33;
+    if (characters.some(c => c.codePointAt(0) > 0x7E)) size += 100;
+    return Math.max(size, 10);
+};
+
+/**
+ * Matchers of patterns starting at a position. Each returns candidate matches of
+ * { pattern, end, bits, word }.
+ */
+const matchers = [
+    function dictionary (password, i, tokens) {
+        let matches = [];
+        let lower = unleet(password.toLowerCase());
+        for (let end = i + 3; end <= Math.min(password.length, i + Math.max(longest, ...tokens.map(t => t.length))); end++) {
+            let word = lower.slice(i, end);
+            let typed = password.slice(i, end);
+            let substitutions = [...typed.toLowerCase()].filter((c, k) => c !== word[k]).length;
+            if (tokens.includes(word)) {
+                matches.push({ pattern: "CONTEXT", end, word, bits: 1 + capitalization(typed) + substitutions });
+            } else if (ranks.has(word)) {
+                matches.push({ pattern: "DICTIONARY", end, word, bits: log2(ranks.get(word) + 1) + capitalization(typed) + substitutions });
+            }
+        }
+        return matches;
+    },
+
+    function keyboard (password, i) {
+        let lower = password.toLowerCase();
+        let matches = [];
+        keyboards.forEach(
+            row => [row, [...row].reverse().join("")].forEach(
+                (walk, reversed) => {
+                    let start = walk.indexOf(lower[i]);
+                    if (start < 0) {
+                        return;
+                    }
+                    let end = i;
+                    while (end < lower.length && walk[start + end - i] === lower[end]) {
+                        end++;
+                    }
+                    if (end - i >= 4) {
+                        matches.push({ pattern: "KEYBOARD", end, bits: log2(47 * (end - i)) + reversed + capitalization(password.slice(i, end)) });
+                    }
+                }
+            )
+        );
+        return matches;
+    },
+
+    function sequence (password, i) {
+        let end = i + 1;
+        let step = password.charCodeAt(i + 1) - password.charCodeAt(i);
+        if (step !== 1 && step !== -1) {
+            return [];
+        }
+        while (end < password.length && password.charCodeAt(end) - password.charCodeAt(end - 1) === step) {
+            end++;
+        }
+        if (end - i < 3) {
+            return [];
+        }
+        let alphabet = /[0-9]/.test(password[i]) ? 10 : 26;
+        return [{ pattern: "SEQUENCE", end, bits: log2(alphabet * (end - i)) + (step < 0 ? 1 : 0) }];
+    },
+
+    function repeat (password, i) {
+        let matches = [];
+        for (let size = 1; size <= (password.length - i) / 2; size++) {
+            let block = password.slice(i, i + size);
+            let end = i + size;
+            while (password.startsWith(block, end)) {
+                end += size;
+            }
+            let count = (end - i) / size;
+            if (end - i >= 3 && count >= 2 && (size > 1 || count >= 3)) {
+                matches.push({ pattern: "REPEAT", end, bits: size * log2(cardinality([...block])) + log2(count) });
+            }
+        }
+        return matches;
+    },
+
+    function date (password, i) {
+        let rest = password.slice(i);
+        let matched = /^(?:(?:19|20)\d\d[-/.]?(?:1[0-2]|0?[1-9])[-/.]?(?:3[01]|[12]\d|0?[1-9])|(?:3[01]|[12]\d|0?[1-9])[-/.]?(?:1[0-2]|0?[1-9])[-/.]?(?:19|20)?\d\d)/.exec(rest);
+        if (matched && matched[0].length >= 6) {
+            return [{ pattern: "DATE", end: i + matched[0].length, bits: log2(365 * 150) }];
+        }
+        matched = /^(?:19|20)\d\d/.exec(rest);
+        if (matched) {
+            return [{ pattern: "DATE", end: i + 4, bits: log2(150) }];
+        }
+        return [];
+    }
+];
+
+/**
+ * Find a common word dressed up with up to 4 digits or symbols before or after it.
+ * @param {string} password - Password.
+ * @return {?string} The common word; null if there is none.
+ */
+const decorated = password => {
+    for (let k = 1; k <= 4 && k < password.length; k++) {
+        let stems = [];
+        if (decorations.test(password.slice(-k))) {
+            stems.push(password.slice(0, -k));
+        }
+        if (decorations.test(password.slice(0, k))) {
+            stems.push(password.slice(k));
+        }
+
+        let stem = stems.map(stem => unleet(stem.toLowerCase())).find(stem => ranks.has(stem));
+        if (stem) {
+            return stem;
+        }
+    }
+    return null;
+};
+
+/**
+ * Words of the context, e.g. the username or both parts of an email address.
+ * @param {object} context - Values specific to the user.
+ * @param {string[]} words - Words specific to the service.
+ * @return {string[]} Lowercased words of at least 3 characters.
+ */
+const tokenize = (context, words) => {
+    let tokens = [];
+    Object.keys(context || {}).map(key => context[key]).concat(words).forEach(
+        value => {
+            if (typeof value !== "string") {
+                return;
+            }
+            let lower = value.toLowerCase();
+            tokens.push(lower, ...lower.split(/[^\p{L}\p{N}]+/u));
+        }
+    );
+    return [...new Set(tokens.filter(token => token.length >= 3))];
+};
+
+module.exports = class PasswordPolicy {
+    /**
+     * Create a password policy by options supplied.
+     * @param {object} [options] - Optional options; resort to default if not supplied.
+     * @param {number} [options.minLength] - Fewest characters of a password; 8 by default.
+     * @param {number} [options.maxLength] - Most characters of a password; 64 by default.
+     * @param {number} [options.minScore] - Lowest score accepted, 0 to 4; 2 by default.
+     * @param {string[]} [options.context] - Words specific to the service.
+     */
+    constructor (options) {
+        if (options && typeof options === "object"){
+            this.options = Object.assign({}, defaults, options);
+        } else {
+            this.options = defaults;
+        }
+    }
+
+    /**
+     * Estimate the strength of a password.
+     * @param {string} password - Password.
+     * @param {object} [context] - Values specific to the user, e.g. { username, email, name }.
+     * @return {{ score: number, entropy: number, patterns: object[] }} Score from 0 to 4, estimated bits
+     * of guessing, and the patterns found, each of { pattern, token, word }.
+     */
+    estimate (password, context) {
+        let characters = [...password];
+        let tokens = tokenize(context, this.options.context);
+        let bruteForce = log2(cardinality(characters));
+
+        /**
+         *  Greedily take, from left to right, the pattern saving the most bits over
+         *  guessing its characters one by one.
+         */
+        let entropy = 0;
+        let patterns = [];
+        for (let i = 0; i < password.length;) {
+            let best = null;
+            matchers.forEach(
+                matcher => matcher(password, i, tokens).forEach(
+                    match => {
+                        let saving = (match.end - i) * bruteForce - match.bits;
+                        if (saving > 0 && (!best || saving > best.saving)) {
+                            best = Object.assign({ saving }, match);
+                        }
+                    }
+                )
+            );
+
+            if (best) {
+                entropy += best.bits;
+                patterns.push({ pattern: best.pattern, token: password.slice(i, best.end), word: best.word });
+                i = best.end;
+            } else {
+                entropy += bruteForce;
+                i += password.codePointAt(i) > 0xFFFF ? 2 : 1;
+            }
+        }
+
+        /**
+         *  Guesses of 10^3, 10^6, 10^8 and 10^10 as in zxcvbn
+         */
+        let score = [9.97, 19.93, 26.58, 33.22].filter(bits => entropy >= bits).length;
+
+        return { score, entropy, patterns };
+    }
+
+    /**
+     * Check a password against the policy.
+     * @param {string} password - Password.
+     * @param {object} [context] - Values specific to the user, e.g. { username, email, name }.
+     * @return {{ valid: boolean, score: number, entropy: number, reasons: object[] }} Whether the password
+     * is accepted, its strength, and the reasons for rejecting it or for its low score, each of
+     * { code, message } and details such as the word or the limit.
+     */
+    check (password, context) {
+        let { minLength, maxLength, minScore } = this.options;
+        let reasons = [];
+        let length = [...password].length;
+
+        if (length < minLength) {
+            reasons.push({ code: "TOO_SHORT", message: messages.TOO_SHORT, minLength });
+        }
+
+        if (length > maxLength) {
+            reasons.push({ code: "TOO_LONG", message: messages.TOO_LONG, maxLength });
+            return { valid: false, score: 0, entropy: 0, reasons };
+        }
+
+        let { score, entropy, patterns } = this.estimate(password, context);
+        let lower = unleet(password.toLowerCase());
+
+        if (ranks.has(lower)) {
+            reasons.push({ code: "COMMON", message: messages.COMMON, word: lower });
+        }
+
+        patterns.filter(({ pattern }) => pattern === "CONTEXT").forEach(
+            ({ word }) => reasons.push({ code: "CONTEXT", message: messages.CONTEXT, word })
+        );
+
+        let stem = decorated(password);
+        if (stem && !ranks.has(lower)) {
+            reasons.push({ code: "COMPLEXITY_THEATER", message: messages.COMPLEXITY_THEATER, word: stem });
+        }
+
+        if (score < minScore) {
+            reasons.push({ code: "WEAK", message: messages.WEAK, score, minScore });
+            [...new Set(patterns.map(({ pattern }) => pattern))].filter(pattern => pattern !== "CONTEXT").forEach(
+                pattern => reasons.push({ code: pattern, message: messages[pattern] })
+            );
+        }
+
+        let rejecting = ["TOO_SHORT", "COMMON", "CONTEXT", "COMPLEXITY_THEATER", "WEAK"];
+        return {
+            valid: !reasons.some(({ code }) => rejecting.includes(code)),
+            score,
+            entropy,
+            reasons
+        };
+    }
+};
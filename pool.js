@@ -0,0 +1,119 @@
+const abort = require("./abort");
+const { BackendUnavailableError, ConfigurationError } = require("./errors");
+
+/**
+ * A queue bounding how many hashes run at once.
+ *
+ * Every algorithm runs on the threadpool of libuv, which has 4 threads by default
+ * and is shared with fs, dns.lookup and zlib. A burst of logins would otherwise take
+ * all of them; the pool keeps hashing to a share of the threads, queues the rest,
+ * and rejects when the queue is full so that load is shed early.
+ */
+module.exports = class Pool {
+    /**
+     * Create a pool by options supplied.
+     * @param {object} [options] - Configuration.
+     * @param {number} [options.concurrency] - Most tasks running at once; 2 by default.
+     * @param {number} [options.maxQueue] - Most tasks waiting for a slot; 100 by default.
+     */
+    constructor (
+        options
+    ) {
+        this.options = Object.assign(
+            {
+                concurrency: 2,
+                maxQueue: 100
+            },
+            options
+        );
+
+        if (!(this.options.concurrency >= 1)) {
+            throw new ConfigurationError("Pool: Concurrency must be at least 1");
+        }
+
+        this.running = 0;
+        this.queue = [];
+    }
+
+    /**
+     * A promise for the result of a task run in the pool.
+     *
+     * @promise PoolTaskPromise
+     * @fulfill {*} The result of the task.
+     * @reject {Error} Error of the task, the queue is full, or the reason of the signal once it aborts.
+     *
+     * Run a task once a slot is free. An aborted task is removed from the queue; once
+     * running, it keeps its slot until it settles, as the work cannot be interrupted.
+     * @param {function(): Promise} task - Task.
+     * @param {AbortSignal} [signal] - Signal aborting the task (refer to abort.js).
+     * @return {PoolTaskPromise} A promise for the result of the task.
+     */
+    run (
+        task,
+        signal
+    ) {
+        return new Promise(
+            (resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+
+                if (this.running < this.options.concurrency) {
+                    this.start({ task, resolve, reject, signal });
+                    return;
+                }
+
+                if (this.queue.length >= this.options.maxQueue) {
+                    reject(new BackendUnavailableError("Pool: Queue is full"));
+                    return;
+                }
+
+                let entry = { task, resolve, reject, signal };
+                if (signal) {
+                    entry.onAbort = () => {
+                        this.queue.splice(this.queue.indexOf(entry), 1);
+                        reject(signal.reason);
+                    };
+                    signal.addEventListener("abort", entry.onAbort, { once: true });
+                }
+                this.queue.push(entry);
+            }
+        );
+    }
+
+    /**
+     * Run a queued task and free its slot when it settles.
+     * @param {object} entry - Task with the callbacks of its promise, and its signal.
+     */
+    start (
+        { task, resolve, reject, signal, onAbort }
+    ) {
+        if (onAbort) {
+            signal.removeEventListener("abort", onAbort);
+        }
+        this.running += 1;
+
+        let done = () => {
+            this.running -= 1;
+            if (this.queue.length > 0) {
+                this.start(this.queue.shift());
+            }
+        };
+
+        let running = Promise.resolve().then(task);
+        running.then(done, done);
+        abort.run(() => running, signal).then(resolve, reject);
+    }
+
+    /**
+     * Count of running and queued tasks.
+     * @return {{ running: number, queued: number }} Counts.
+     */
+    stats () {
+        return {
+            running: this.running,
+            queued: this.queue.length
+        };
+    }
+};
@@ -0,0 +1,197 @@
+const argon2format = require("./argon2format");
+const { BackendUnavailableError, ConfigurationError, UnsupportedAlgorithmError } = require("./errors");
+
+/**
+ * Registry of algorithms, keyed by lowercase name.
+ *
+ * A processor class follows the contract of the built-in ones: a constructor taking
+ * options, hash(password, options) and compare(incoming, stored) returning promises,
+ * and optionally needsRehash(stored, options) and a static inspect(stored). Its
+ * capabilities are declared by a static capabilities property, or at registration.
+ */
+
+const entries = {};
+
+/**
+ * Capabilities of a processor class that declares none.
+ * @param {Function} Processor - Processor class.
+ * @return {object} The capabilities.
+ */
+const inferred = (Processor) => ({
+    needsRehash: typeof Processor.prototype.needsRehash === "function",
+    inspect: typeof Processor.inspect === "function",
+    phc: false,
+    pepper: [],
+    backend: null
+});
+
+/**
+ * Add an algorithm whose class is loaded when first used.
+ * @param {string} name - Name of the algorithm.
+ * @param {function(): Function} load - Function returning the processor class.
+ * @param {object} [options] - Options of register.
+ */
+const add = (name, load, options) => {
+    let { detect, inspect, capabilities } = options || {};
+    let Processor = null;
+
+    entries[String(name).toLowerCase()] = {
+        load: () => {
+            if (!Processor) {
+                try {
+                    Processor = load();
+                } catch (e) {
+                    throw new BackendUnavailableError(`Registry: Backend of ${ name } is unavailable`, { cause: e });
+                }
+            }
+            return Processor;
+        },
+        detect,
+        inspect,
+        capabilities
+    };
+};
+
+module.exports = {
+    /**
+     * Register an algorithm, replacing any registered by the same name.
+     * @param {string} name - Name of the algorithm, as enabled at the factory, e.g. { balloon: true }.
+     * @param {Function} Processor - Processor class.
+     * @param {object} [options] - Configuration.
+     * @param {function(string): boolean} [options.detect] - Whether a stored hash, without pepper, was produced by the
+     * algorithm; the static detect of the class if not supplied.
+     * @param {function(string): object} [options.inspect] - Decode what is inside a stored hash, without pepper, as the
+     * static inspect of the class does; that one if not supplied.
+     * @param {object} [options.capabilities] - Capabilities, over those declared by the class.
+     */
+    register (name, Processor, options) {
+        if (typeof name !== "string" || !/^[a-z0-9_-]+$/i.test(name)) {
+            throw new ConfigurationError("Registry: Name must consist of letters, digits, _ and -");
+        }
+        if (
+            typeof Processor !== "function" ||
+            typeof Processor.prototype.hash !== "function" ||
+            typeof Processor.prototype.compare !== "function"
+        ) {
+            throw new ConfigurationError("Registry: Processor must be a class with hash and compare");
+        }
+
+        add(name, () => Processor, options);
+    },
+
+    /**
+     * Whether an algorithm is registered.
+     * @param {string} name - Name of the algorithm.
+     * @return {boolean} true if it is registered.
+     */
+    has (name) {
+        return entries.hasOwnProperty(String(name).toLowerCase());
+    },
+
+    /**
+     * Names of the registered algorithms, in the order of registration.
+     * @return {string[]} Names.
+     */
+    names () {
+        return Object.keys(entries);
+    },
+
+    /**
+     * Get the processor class of an algorithm.
+     * @param {string} name - Name of the algorithm.
+     * @return {Function} The processor class; throws BackendUnavailableError if its module fails to load.
+     */
+    get (name) {
+        if (!this.has(name)) {
+            throw new UnsupportedAlgorithmError(`Registry: Unknown algorithm ${ name }`);
+        }
+
+        return entries[String(name).toLowerCase()].load();
+    },
+
+    /**
+     * Whether a stored hash was produced by an algorithm.
+     * @param {string} name - Name of the algorithm.
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @return {boolean} true if the algorithm recognises the hash; false if it has no detect of its own and its
+     * backend is unavailable.
+     */
+    test (name, stored) {
+        let entry = entries[String(name).toLowerCase()];
+        if (!entry) {
+            return false;
+        }
+
+        if (entry.detect) {
+            return !!entry.detect(stored);
+        }
+
+        let Processor;
+        try {
+            Processor = entry.load();
+        } catch (e) {
+            if (e instanceof BackendUnavailableError) {
+                return false;
+            }
+            throw e;
+        }
+        return typeof Processor.detect === "function" && !!Processor.detect(stored);
+    },
+
+    /**
+     * Find out which algorithm produced a stored hash.
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @param {string[]} [names] - Names of the algorithms considered; all of them if not supplied.
+     * @return {?string} Name of the algorithm; null if none of them recognises the hash.
+     */
+    detect (stored, names) {
+        return (names || this.names()).find(name => this.test(name, stored)) || null;
+    },
+
+    /**
+     * Decode what is inside a stored hash of an algorithm.
+     * @param {string} name - Name of the algorithm.
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @return {?object} Contents of the hash (refer to inspect.js); null if the algorithm does not decode its hashes.
+     * Throws BackendUnavailableError if it has no inspect of its own and its backend is unavailable.
+     */
+    inspect (name, stored) {
+        if (!this.has(name)) {
+            throw new UnsupportedAlgorithmError(`Registry: Unknown algorithm ${ name }`);
+        }
+
+        let entry = entries[String(name).toLowerCase()];
+        if (entry.inspect) {
+            return entry.inspect(stored);
+        }
+
+        let Processor = entry.load();
+        return typeof Processor.inspect === "function" ? Processor.inspect(stored) : null;
+    },
+
+    /**
+     * What an algorithm supports.
+     * @param {string} name - Name of the algorithm.
+     * @return {{ needsRehash: boolean, inspect: boolean, phc: boolean, pepper: string[], backend: ?string }} Capabilities:
+     * whether it tells when a hash should be made again, whether it decodes its hashes, whether it writes PHC strings,
+     * the pepper modes it supports, and the library that hashes (refer to backends.js); custom capabilities are kept
+     * as they are declared.
+     */
+    capabilities (name) {
+        let Processor = this.get(name);
+        return Object.assign(
+            inferred(Processor),
+            Processor.capabilities,
+            entries[String(name).toLowerCase()].capabilities
+        );
+    }
+};
+
+/**
+ * Argon2 detects and inspects its hashes without its backend, which may be unavailable (refer to backends.js),
+ * so that hashes of other algorithms are still told apart, and its own still inspected and audited.
+ */
+add("argon2", () => require("./argon2"), { detect: argon2format.detect, inspect: argon2format.inspect });
+add("bcrypt", () => require("./bcrypt"));
+add("pbkdf2", () => require("./PBKDF2"));
+add("scrypt", () => require("./scrypt"));
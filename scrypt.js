@@ -1,4 +1,8 @@
 const crypto = require("crypto");
+const phc = require("./phc");
+const pepper = require("./pepper");
+const logger = require("./logger");
+const { MalformedHashError, ParameterOutOfRangeError, translate } = require("./errors");
 
 const defaults = {
     /**
@@ -30,19 +34,194 @@ const defaults = {
     /**
      * Memory upper bound. It is an error when (approximately) 128 * N (cost) * r (blockSize) > maxmem.
      */
-    maxmem: 32 * 1024 * 1024
+    maxmem: 32 * 1024 * 1024,
+
+    /**
+     * Memory upper bound of comparing. A hash made elsewhere, e.g. by passlib at N=2^16,
+     * may need more than maxmem; it is compared with the memory its recorded parameters
+     * take, up to this bound or maxmem, whichever is higher. A hash needing more is rejected.
+     */
+    compareMaxmem: 128 * 1024 * 1024,
+
+    /**
+     * Format of the generated hash.
+     * - hex: the versioned blob of salt length, key length, cost, blockSize,
+     *   parallelization, salt and hash
+     * - phc: a PHC string, $scrypt$ln=<log2 cost>,r=<blockSize>,p=<parallelization>$<salt>$<hash>
+     * Either format can be compared regardless of this option.
+     */
+    format: "hex"
+};
+
+/**
+ * The first word of a versioned hex blob: 0x80, "s", "c" and the version in the low byte.
+ * Legacy blobs start with the salt length instead, which never has the high bit set.
+ */
+const magic = 0x80736300;
+
+/**
+ * The version of the hex blob written by hash.
+ */
+const version = 1;
+
+/**
+ * Size of the header of a versioned hex blob: magic, salt length, key length,
+ * cost, blockSize and parallelization, a 32-bit word each.
+ */
+const headerBytes = 24;
+
+/**
+ * Extract the parameters, salt and hash from a stored hash of any format.
+ * The legacy hex blob does not record cost, blockSize and parallelization; those are left undefined.
+ * @param {string} stored - Password hash stored in database.
+ * @return {{ cost: ?number, blockSize: ?number, parallelization: ?number, salt: Buffer, hash: Buffer }} Decoded hash.
+ */
+const decode = (stored) => {
+    if (phc.test(stored, /^scrypt$/)) {
+        let { params, salt, hash } = phc.deserialize(stored);
+        let cost = 2 ** +params.ln;
+        let blockSize = +params.r;
+        let parallelization = +params.p;
+        if (!(cost > 1 && blockSize > 0 && parallelization > 0)) {
+            throw new MalformedHashError("ScryptProcessor: Malformed hash");
+        }
+
+        return { cost, blockSize, parallelization, salt, hash };
+    }
+
+    if (
+        typeof stored !== "string" ||
+        stored.length < 16 ||
+        !/^(?:[0-9a-f]{2})+$/i.test(stored)
+    ) {
+        throw new MalformedHashError("ScryptProcessor: Malformed hash");
+    }
+
+    let buffer = Buffer.from(stored, "hex");
+
+    if (buffer.readUInt32BE(0) >= 0x80000000) {
+        if (
+            buffer.readUInt32BE(0) !== magic + version ||
+            buffer.length < headerBytes
+        ) {
+            throw new MalformedHashError("ScryptProcessor: Malformed hash");
+        }
+
+        let saltBytes = buffer.readUInt32BE(4);
+        let keyLength = buffer.readUInt32BE(8);
+        if (headerBytes + saltBytes + keyLength !== buffer.length) {
+            throw new MalformedHashError("ScryptProcessor: Malformed hash");
+        }
+
+        return {
+            cost: buffer.readUInt32BE(12),
+            blockSize: buffer.readUInt32BE(16),
+            parallelization: buffer.readUInt32BE(20),
+            salt: buffer.slice(headerBytes, headerBytes + saltBytes),
+            hash: buffer.slice(headerBytes + saltBytes)
+        };
+    }
+
+    /**
+     *	Extract the salt and hash from the combined buffer
+     */
+    let saltBytes = buffer.readUInt32BE(0);
+    if (saltBytes + 8 > buffer.length) {
+        throw new MalformedHashError("ScryptProcessor: Malformed hash");
+    }
+
+    return {
+        salt: buffer.slice(8, saltBytes + 8),
+        hash: buffer.slice(saltBytes + 8)
+    };
 };
 
 module.exports = class ScryptProcessor {
+    /**
+     * What the processor supports (refer to registry.js).
+     * @return {object} The capabilities.
+     */
+    static get capabilities () {
+        return {
+            needsRehash: true,
+            inspect: true,
+            phc: true,
+            pepper: ["hmac"],
+            backend: "node:crypto"
+        };
+    }
+
+    /**
+     * Whether a stored hash is a scrypt PHC string or hex blob.
+     *
+     * The legacy blob shares its layout with the one of PBKDF2Processor. The second word
+     * is the key length here, so it has to match the length of the trailing hash.
+     * @param {string} stored - Password hash stored in database.
+     * @return {boolean} true if the stored hash decodes as a scrypt hash.
+     */
+    static detect (stored) {
+        if (phc.test(stored, /^scrypt$/)) {
+            return true;
+        }
+
+        if (
+            typeof stored !== "string" ||
+            stored.length < 18 ||
+            !/^(?:[0-9a-f]{2})+$/i.test(stored)
+        ) {
+            return false;
+        }
+
+        let buffer = Buffer.from(stored, "hex");
+        if (buffer.readUInt32BE(0) === magic + version) {
+            return buffer.length >= headerBytes &&
+                headerBytes + buffer.readUInt32BE(4) + buffer.readUInt32BE(8) === buffer.length;
+        }
+
+        let hashBytes = buffer.length - buffer.readUInt32BE(0) - 8;
+        return hashBytes > 0 && buffer.readUInt32BE(4) === hashBytes;
+    }
+
+    /**
+     * Decode what is inside a stored hash. Legacy hex blobs do not record cost, blockSize
+     * and parallelization; those are left null.
+     * @param {string} stored - Password hash stored in database, without pepper.
+     * @return {{ algorithm: string, variant: ?string, format: string, params: object, saltBytes: number, hashBytes: number }} Contents of the hash.
+     */
+    static inspect (stored) {
+        if (!ScryptProcessor.detect(stored)) {
+            throw new MalformedHashError("ScryptProcessor: Malformed hash");
+        }
+
+        let { cost = null, blockSize = null, parallelization = null, salt, hash } = decode(stored);
+        return {
+            algorithm: "scrypt",
+            variant: null,
+            format: cost === null ? "legacy" : (phc.test(stored, /^scrypt$/) ? "phc" : "hex"),
+            params: {
+                cost,
+                blockSize,
+                parallelization
+            },
+            saltBytes: salt.length,
+            hashBytes: hash.length
+        };
+    }
+
     /**
      * Create a Scrypt Credential Processor instance by type supplied.
      * @param {object} options - Configuration.
+     * @param {string} [options.format] - Format of the generated hash, hex or phc
+     * @param {object} [options.pepper] - Pepper keyring (refer to pepper.js); hmac mode only
+     * @param {object} [options.logger] - Logger of failures (refer to logger.js); nothing is logged if not supplied
      */
     constructor (
         options
     ) {
+        this.logger = logger.from(options && options.logger);
         if (options && typeof options === "object"){
             this.options = Object.assign(Object.assign({}, defaults), options);
+            delete this.options.logger;
         } else {
             this.options = defaults;
         }
@@ -53,7 +232,7 @@ module.exports = class ScryptProcessor {
      *
      * @promise PaswordHashingPromise
      * @fulfill {string} The hashed password.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} Error of hashing, with the error of the hashing function as cause (refer to errors.js).
      *
      * Hash a password by the options supplied.
      * @param {!string} password - Password.
@@ -66,11 +245,19 @@ module.exports = class ScryptProcessor {
     ) {
         let temporalOptions = this.options;
         if (options && typeof options === "object"){
-            temporalOptions = Object.assign(Object.assign({}, defaults), options);
+            temporalOptions = Object.assign({}, this.options, options);
         }
 
         return new Promise(
             async (resolve, reject) => {
+                let peppered;
+                try {
+                    peppered = pepper.apply(password, temporalOptions.pepper);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
                 let salt;
                 try {
                     salt = await new Promise(
@@ -87,8 +274,8 @@ module.exports = class ScryptProcessor {
                         }
                     )
                 } catch (e) {
-                    console.error(e);
-                    reject(e);
+                    this.logger.error("ScryptProcessor: Generating salt failed", { error: e });
+                    reject(translate(e, "ScryptProcessor", "Generating salt failed"));
                     return;
                 }
 
@@ -97,13 +284,14 @@ module.exports = class ScryptProcessor {
                     hashed = await new Promise(
                         (resolve, reject) => {
                             crypto.scrypt(
-                                password,
+                                peppered.password,
                                 salt,
                                 temporalOptions.keyLength,
                                 {
                                     cost: temporalOptions.cost,
                                     blockSize: temporalOptions.blockSize,
-                                    parallelization: temporalOptions.parallelization
+                                    parallelization: temporalOptions.parallelization,
+                                    maxmem: temporalOptions.maxmem
                                 },
                                 (e, hash) => {
                                     if (e) {
@@ -111,33 +299,66 @@ module.exports = class ScryptProcessor {
                                         return;
                                     }
 
-                                    let combined = Buffer.alloc(hash.length + salt.length + 8);
+                                    if (temporalOptions.format === "phc") {
+                                        resolve(
+                                            phc.serialize({
+                                                id: "scrypt",
+                                                params: {
+                                                    ln: Math.log2(temporalOptions.cost),
+                                                    r: temporalOptions.blockSize,
+                                                    p: temporalOptions.parallelization
+                                                },
+                                                salt,
+                                                hash
+                                            })
+                                        );
+                                        return;
+                                    }
+
+                                    let combined = Buffer.alloc(hash.length + salt.length + headerBytes);
+
+                                    /**
+                                     *  The version is included so that the layout of the blob can change
+                                     */
+                                    combined.writeUInt32BE(magic + version, 0);
 
                                     /**
-                                         *  The size of the salt is also included so that we can figure out
-                                         *  how long the salt is in the hash during verification
-                                         */
-                                    combined.writeUInt32BE(salt.length, 0, true);
+                                     *  The size of the salt is also included so that we can figure out
+                                     *  how long the salt is in the hash during verification
+                                     */
+                                    combined.writeUInt32BE(salt.length, 4);
+                                    combined.writeUInt32BE(hash.length, 8);
 
                                     /**
-                                     * Similarly, iteration count is included
+                                     * Similarly, the parameters are included so that the hash can be
+                                     * verified after the configured ones change
                                      */
-                                    combined.writeUInt32BE(temporalOptions.keyLength, 4, true);
+                                    combined.writeUInt32BE(temporalOptions.cost, 12);
+                                    combined.writeUInt32BE(temporalOptions.blockSize, 16);
+                                    combined.writeUInt32BE(temporalOptions.parallelization, 20);
 
-                                    salt.copy(combined, 8);
-                                    hash.copy(combined, salt.length + 8);
+                                    salt.copy(combined, headerBytes);
+                                    hash.copy(combined, salt.length + headerBytes);
                                     resolve(combined.toString("hex"));
                                 }
                             );
                         }
                     );
                 } catch (e) {
-                    console.error(e);
+                    this.logger.error("ScryptProcessor: Hashing failed", { error: e });
+                    reject(translate(e, "ScryptProcessor", "Hashing failed"));
+                    return;
+                }
+
+                let wrapped;
+                try {
+                    wrapped = pepper.wrap(hashed, peppered.id);
+                } catch (e) {
                     reject(e);
                     return;
                 }
 
-                resolve(hashed);
+                resolve(wrapped);
             }
         );
     }
@@ -147,9 +368,11 @@ module.exports = class ScryptProcessor {
      *
      * @promise IncomingPasswordHashComparePromise
      * @fulfill {boolean} Whether the incoming plain password and the hash is a match.
-     * @reject {Error} Internal error of the hashing function. Check the returned error for details.
+     * @reject {UserCredentialError} MalformedHashError if the stored hash cannot be decoded, ParameterOutOfRangeError if its parameters need more memory than compareMaxmem, or error of comparing, with the error of the hashing function as cause (refer to errors.js).
      *
-     * Compare an incoming password with the stored password hash.
+     * Compare an incoming password with the stored password hash, by the parameters
+     * recorded in it, with maxmem raised as far as they need up to compareMaxmem. Legacy
+     * hex blobs are compared by the configured parameters.
      * @param {string} incoming - Incoming password.
      * @param {string} stored - Password hash stored in database.
      * @return {IncomingPasswordHashComparePromise} A promise for comparing an incoming plain password with a hash
@@ -158,38 +381,97 @@ module.exports = class ScryptProcessor {
         incoming,
         stored
     ) {
-        return new Promise((resolve, reject) => {
-            let buffer = Buffer.from(stored, "hex");
-
-            /**
-             *	Extract the salt and hash from the combined buffer
-             */
-            let saltBytes = buffer.readUInt32BE(0);
-            let salt = buffer.slice(8, saltBytes + 8);
-
-            let hashBytes = buffer.length - saltBytes - 8;
-            let iterations = buffer.readUInt32BE(4);
-            let hash = buffer.toString("binary", saltBytes + 8);
-            let digest = defaults.digest;
-
-            // TODO: To be Updated for Scrypt
-            /**
-             *	verify the salt and hash against the password
-             */
-            crypto.scrypt(
-                incoming,
-                salt,
-                iterations,
-                hashBytes,
-                digest,
-                function (e, verify) {
-                    if (e) {
-                        reject(e);
-                        return;
+        return new Promise(
+            async (resolve, reject) => {
+                let decoded;
+                let prepared;
+                try {
+                    prepared = pepper.prepare(incoming, stored, this.options.pepper);
+                    decoded = decode(prepared.stored);
+                    if (decoded.hash.length === 0) {
+                        throw new MalformedHashError("ScryptProcessor: Malformed hash");
                     }
-                    resolve(verify.toString("binary") === hash);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                let {
+                    cost = this.options.cost,
+                    blockSize = this.options.blockSize,
+                    parallelization = this.options.parallelization,
+                    salt,
+                    hash
+                } = decoded;
+
+                /**
+                 * What OpenSSL allocates: 128 * r * (N + 2) bytes of V and 128 * r * p of B
+                 */
+                let needed = 128 * blockSize * (cost + 2 + parallelization);
+                if (needed > Math.max(this.options.maxmem, this.options.compareMaxmem)) {
+                    reject(new ParameterOutOfRangeError("ScryptProcessor: Stored parameters need more memory than compareMaxmem"));
+                    return;
                 }
-            );
-        });
+
+                let verify;
+                try {
+                    /**
+                     *	verify the salt and hash against the password
+                     */
+                    verify = await new Promise(
+                        (resolve, reject) => {
+                            crypto.scrypt(
+                                prepared.incoming,
+                                salt,
+                                hash.length,
+                                {
+                                    cost,
+                                    blockSize,
+                                    parallelization,
+                                    maxmem: Math.max(this.options.maxmem, needed)
+                                },
+                                (e, verify) => e ? reject(e) : resolve(verify)
+                            );
+                        }
+                    );
+                } catch (e) {
+                    this.logger.error("ScryptProcessor: Comparing failed", { error: e });
+                    reject(translate(e, "ScryptProcessor", "Comparing failed"));
+                    return;
+                }
+
+                resolve(crypto.timingSafeEqual(verify, hash));
+            }
+        );
+    }
+
+    /**
+     * Whether a stored hash was made with a shorter salt, a shorter key, a lower cost,
+     * blockSize or parallelization, or another pepper key than currently configured.
+     *
+     * Legacy hex blobs always need rehashing, as they do not record the parameters.
+     * @param {string} stored - Password hash stored in database.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @return {boolean} true if the password should be hashed again.
+     */
+    needsRehash (
+        stored,
+        options
+    ) {
+        let temporalOptions = this.options;
+        if (options && typeof options === "object"){
+            temporalOptions = Object.assign({}, this.options, options);
+        }
+
+        let { cost, blockSize, parallelization, salt, hash } = decode(pepper.unwrap(stored).stored);
+        if (cost === undefined || pepper.needsRotation(stored, temporalOptions.pepper)) {
+            return true;
+        }
+
+        return salt.length < temporalOptions.saltBytes ||
+            hash.length < temporalOptions.keyLength ||
+            cost < temporalOptions.cost ||
+            blockSize < temporalOptions.blockSize ||
+            parallelization < temporalOptions.parallelization;
     }
 };
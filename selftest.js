@@ -0,0 +1,199 @@
+const { performance } = require("perf_hooks");
+const registry = require("./registry");
+const { BackendUnavailableError } = require("./errors");
+
+/**
+ * Known-answer vectors of the built-in algorithms, each a published password and
+ * derived key written as a stored hash of the processor, in each of its formats;
+ * and the options of hashes made and compared back, cheap enough to run at boot.
+ * The stored hashes are spelled out rather than encoded here, so that a bug of
+ * encoding cannot cancel out a bug of decoding.
+ */
+const suites = {
+    argon2: {
+        roundTrips: [{ timeCost: 2, memoryCost: 4096, parallelism: 1 }],
+        vectors: [
+            {
+                name: "argon2i reference",
+                password: "password",
+                stored: "$argon2i$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$wWKIMhR9lyDFvRz9YTZweHKfbftvj+qf+YFY4NeBbtA"
+            },
+            {
+                name: "argon2id reference",
+                password: "password",
+                stored: "$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$CTFhFdXPJO1aFaMaO6Mm5c8y7cJHAph8ArZWb2GRPPc"
+            }
+        ]
+    },
+
+    bcrypt: {
+        roundTrips: [{ saltRounds: 4 }, { saltRounds: 4, longPasswords: "prehash" }],
+        vectors: [
+            {
+                name: "OpenBSD U*U",
+                password: "U*U",
+                stored: "$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW"
+            },
+            {
+                name: "OpenBSD U*U*",
+                password: "U*U*",
+                stored: "$2a$05$CCCCCCCCCCCCCCCCCCCCC.VGOzA784oUp/Z0DY336zx7pLYAy0lwK"
+            },
+            {
+                name: "OpenBSD 72 bytes",
+                password: "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789chars after 72 are ignored",
+                stored: "$2a$05$abcdefghijklmnopqrstuu5s2v8.iXieOjg/.AySBTTZIIVFJeBui"
+            }
+        ]
+    },
+
+    pbkdf2: {
+        roundTrips: [{ digest: "sha256", iterations: 1000 }, { digest: "sha512", iterations: 1000, format: "phc" }],
+        vectors: [
+            {
+                name: "RFC 6070 c=1 (phc)",
+                password: "password",
+                stored: "$pbkdf2$i=1$c2FsdA$DGDID5YfDnHzqbUkr2ASBi/gN6Y"
+            },
+            {
+                name: "RFC 6070 c=4096 (hex)",
+                password: "password",
+                stored: "80706b01000000040000001400001000000000047368613173616c744b007901b765489abead49d926f721d065a429c1"
+            },
+            {
+                name: "RFC 6070 dkLen=25 (legacy)",
+                password: "passwordPASSWORDpassword",
+                stored: "000000240000100073616c7453414c5473616c7453414c5473616c7453414c5473616c7453414c5473616c743d2eec4fe41c849b80c8d83662c0e44a8b291a964cf2f07038",
+                options: { legacyDigest: "sha1" }
+            },
+            {
+                name: "RFC 6070 NUL (phc)",
+                password: "pass\u0000word",
+                stored: "$pbkdf2$i=4096$c2EAbHQ$Vvpqp1VICZ3MN9fwNCXgww"
+            },
+            {
+                name: "RFC 7914 PBKDF2-HMAC-SHA256 (phc)",
+                password: "passwd",
+                stored: "$pbkdf2-sha256$i=1$c2FsdA$VawEblbjCJ/sFpHCJUS2BflBhSFt3gRl5oudV8INrLxJypzM8Xm2RZkWZLOdd+8xfHG4RbHjC9UJESBB06GXgw"
+            }
+        ]
+    },
+
+    scrypt: {
+        roundTrips: [{ cost: 1024 }, { cost: 1024, format: "phc" }],
+        vectors: [
+            {
+                name: "RFC 7914 N=1024 (hex)",
+                password: "password",
+                stored: "8073630100000004000000400000040000000008000000104e61436cfdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640"
+            },
+            {
+                name: "RFC 7914 N=1024 (legacy)",
+                password: "password",
+                stored: "00000004000000404e61436cfdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640",
+                options: { cost: 1024, blockSize: 8, parallelization: 16 }
+            },
+            {
+                name: "RFC 7914 N=16384 (phc)",
+                password: "pleaseletmein",
+                stored: "$scrypt$ln=14,r=8,p=1$U29kaXVtQ2hsb3JpZGU$cCO9yzr9c0hGHAbNgf046/2o+7qQT44+qbVD9lRdofLVQylVYT8Pz2LUlwUkKpr55h6F3A1lHkDfzwF7RVdYhw"
+            }
+        ]
+    }
+};
+
+/**
+ * Password of the round trips, not all of it ASCII.
+ */
+const roundTripPassword = "correct horse battery stäple ✓";
+
+/**
+ * Run the checks of an algorithm. A check passes when the password matches its hash
+ * and the password with a character put before it does not.
+ * @param {string} algorithm - Name of the algorithm.
+ * @return {Promise<{ passed: boolean, duration: number, checks: object[] }>} A promise for the result of the algorithm.
+ */
+const run = async (algorithm) => {
+    let { roundTrips, vectors } = suites[algorithm] || { roundTrips: [{}], vectors: [] };
+    let start = performance.now();
+    let checks = [];
+
+    let check = async (name, test) => {
+        try {
+            checks.push({ name, passed: await test() });
+        } catch (e) {
+            checks.push({ name, passed: false, error: e.code || e.name, message: e.message });
+        }
+    };
+    let matches = async (processor, password, stored) =>
+        await processor.compare(password, stored) === true &&
+        await processor.compare("!" + password, stored) === false;
+
+    let Processor;
+    await check("load", () => {
+        Processor = registry.get(algorithm);
+        return true;
+    });
+
+    if (Processor) {
+        for (let { name, password, stored, options } of vectors) {
+            await check(name, () => matches(new Processor(options), password, stored));
+        }
+        for (let options of roundTrips) {
+            let name = `round trip ${ JSON.stringify(options) }`;
+            await check(name, async () => {
+                let processor = new Processor(options);
+                return matches(processor, roundTripPassword, await processor.hash(roundTripPassword));
+            });
+        }
+    }
+
+    return {
+        passed: checks.every(({ passed }) => passed),
+        duration: performance.now() - start,
+        checks
+    };
+};
+
+/**
+ * A promise for the report of the self-test.
+ *
+ * @promise SelfTestPromise
+ * @fulfill {{ passed: boolean, algorithms: object }} Whether every algorithm passed, and the result of each algorithm, keyed
+ * by name: whether it passed, its duration in milliseconds, and its checks, each with a name, whether it passed, and the
+ * code and message of its error if it threw.
+ * @reject {BackendUnavailableError} An algorithm failed and throwOnFailure is set; the report is in the error.
+ *
+ * Run known-answer vectors (RFC 7914 for scrypt, RFC 6070 for PBKDF2, those of OpenBSD for bcrypt and of the reference
+ * implementation for Argon2) through the compare of each processor, and compare hashes made by its hash back, so that a
+ * broken backend is found before logins are accepted. Registered algorithms without vectors get the round trips only.
+ * @param {object} [config] - Configuration.
+ * @param {string[]} [config.algorithms] - Algorithms tested; all of the registered ones by default.
+ * @param {boolean} [config.throwOnFailure] - Reject if an algorithm fails, e.g. to keep a service from starting.
+ * @return {SelfTestPromise} A promise for the report.
+ */
+module.exports = (config) => {
+    return new Promise(
+        async (resolve, reject) => {
+            let {
+                algorithms = registry.names(),
+                throwOnFailure = false
+            } = config || {};
+
+            let report = { passed: true, algorithms: {} };
+            for (let algorithm of algorithms.map(name => String(name).toLowerCase())) {
+                let result = await run(algorithm);
+                report.algorithms[algorithm] = result;
+                report.passed = report.passed && result.passed;
+            }
+
+            if (!report.passed && throwOnFailure) {
+                let failed = Object.keys(report.algorithms).filter(algorithm => !report.algorithms[algorithm].passed);
+                reject(new BackendUnavailableError(`SelfTest: ${ failed.join(", ") } failed`, { report }));
+                return;
+            }
+
+            resolve(report);
+        }
+    );
+};
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+/**
+ * SHA-crypt of glibc, $5$ and $6$, for the shacrypt adapter of foreign.js.
+ *
+ * Its cost grows with the rounds recorded in the hash, up to 999,999,999, and with the
+ * square of the length of the password, so it is computed in a worker thread rather
+ * than on the event loop. This module is the script of the worker as well.
+ */
+
+/**
+ * Alphabet of the base64 of crypt(3).
+ */
+const cryptAlphabet = "./0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+/**
+ * SHA-crypt, refer to https://www.akkadia.org/drepper/SHA-crypt.txt
+ * @param {Buffer} password - Password.
+ * @param {Buffer} salt - Salt, up to 16 bytes.
+ * @param {number} rounds - Rounds.
+ * @param {string} digest - sha256 or sha512.
+ * @return {string} The hash part of the crypt string.
+ */
+const shaCrypt = (password, salt, rounds, digest) => {
+    const sum = (...buffers) => buffers.reduce((hash, buffer) => hash.update(buffer), crypto.createHash(digest)).digest();
+    const stretch = (block, length) => Buffer.concat(Array(Math.ceil(length / block.length) || 1).fill(block)).slice(0, length);
+    let size = digest === "sha256" ? 32 : 64;
+
+    let b = sum(password, salt, password);
+    let a = crypto.createHash(digest).update(password).update(salt).update(stretch(b, password.length));
+    for (let i = password.length; i > 0; i >>= 1) {
+        a.update(i & 1 ? b : password);
+    }
+    a = a.digest();
+
+    let p = stretch(sum(...Array(password.length).fill(password)), password.length);
+    let s = stretch(sum(...Array(16 + a[0]).fill(salt)), salt.length);
+
+    let c = a;
+    for (let i = 0; i < rounds; i++) {
+        let hash = crypto.createHash(digest).update(i & 1 ? p : c);
+        if (i % 3) {
+            hash.update(s);
+        }
+        if (i % 7) {
+            hash.update(p);
+        }
+        c = hash.update(i & 1 ? c : p).digest();
+    }
+
+    /**
+     *  Bytes are encoded in groups of 3, taken a third of the hash apart and rotated,
+     *  the other way round for SHA-512
+     */
+    let encode = (bytes, count) => {
+        let word = bytes.reduce((word, byte) => word * 256 + byte, 0);
+        let encoded = "";
+        for (let i = 0; i < count; i++) {
+            encoded += cryptAlphabet[word % 64];
+            word = Math.floor(word / 64);
+        }
+        return encoded;
+    };
+    let groups = Math.floor(size / 3);
+    let encoded = "";
+    for (let i = 0; i < groups; i++) {
+        let triple = [c[i], c[i + groups], c[i + groups * 2]];
+        let rotation = size === 32 ? (3 - i % 3) % 3 : i % 3;
+        encoded += encode(triple.slice(rotation).concat(triple.slice(0, rotation)), 4);
+    }
+    encoded += size === 32 ?
+        encode([0, c[31], c[30]], 3) :
+        encode([c[63]], 2);
+
+    return encoded;
+};
+
+module.exports = {
+    hash: shaCrypt,
+
+    /**
+     * A promise for a SHA-crypt hash computed in a worker thread.
+     *
+     * @promise ShaCryptPromise
+     * @fulfill {string} The hash part of the crypt string.
+     * @reject {Error} Error of the worker.
+     *
+     * Compute SHA-crypt in a worker thread.
+     * @param {Buffer} password - Password.
+     * @param {Buffer} salt - Salt, up to 16 bytes.
+     * @param {number} rounds - Rounds.
+     * @param {string} digest - sha256 or sha512.
+     * @return {ShaCryptPromise} A promise for the hash part of the crypt string.
+     */
+    compute (password, salt, rounds, digest) {
+        return new Promise(
+            (resolve, reject) => {
+                let settled = false;
+                let worker = new Worker(__filename, { workerData: { shaCrypt: { password, salt, rounds, digest } } });
+                worker.once("message", (hash) => {
+                    settled = true;
+                    resolve(hash);
+                });
+                worker.once("error", (e) => {
+                    settled = true;
+                    reject(e);
+                });
+                worker.once("exit", (code) => {
+                    if (!settled) {
+                        reject(new Error(`SHA-crypt: Worker exited with code ${ code }`));
+                    }
+                });
+            }
+        );
+    }
+};
+
+if (!isMainThread && workerData && workerData.shaCrypt) {
+    let { password, salt, rounds, digest } = workerData.shaCrypt;
+    parentPort.postMessage(shaCrypt(Buffer.from(password), Buffer.from(salt), rounds, digest));
+}
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const PBKDF2Processor = require("../PBKDF2");
+
+/**
+ * RFC 6070 vectors of PBKDF2-HMAC-SHA1, in the versioned hex blob, the legacy blob and as PHC strings.
+ */
+const rfc = [
+    {
+        format: "phc",
+        password: "password",
+        stored: "$pbkdf2$i=1$c2FsdA$DGDID5YfDnHzqbUkr2ASBi/gN6Y"
+    },
+    {
+        format: "hex",
+        password: "password",
+        stored: "80706b01000000040000001400001000000000047368613173616c744b007901b765489abead49d926f721d065a429c1"
+    },
+    {
+        format: "legacy",
+        password: "passwordPASSWORDpassword",
+        stored: "000000240000100073616c7453414c5473616c7453414c5473616c7453414c5473616c7453414c5473616c743d2eec4fe41c849b80c8d83662c0e44a8b291a964cf2f07038",
+        options: { legacyDigest: "sha1" }
+    },
+    {
+        format: "phc",
+        password: "pass\u0000word",
+        stored: "$pbkdf2$i=4096$c2EAbHQ$Vvpqp1VICZ3MN9fwNCXgww"
+    }
+];
+
+test("PBKDF2 compares the RFC 6070 vectors in every format", async () => {
+    for (let { format, password, stored, options } of rfc) {
+        let processor = new PBKDF2Processor(options);
+        assert.equal(PBKDF2Processor.inspect(stored).format, format);
+        assert.equal(await processor.compare(password, stored), true, stored);
+        assert.equal(await processor.compare(password + "!", stored), false, stored);
+    }
+});
+
+test("PBKDF2 decodes the digest and iterations recorded in hex blobs", () => {
+    let { variant, params, saltBytes, hashBytes } = PBKDF2Processor.inspect(rfc[1].stored);
+    assert.deepEqual({ variant, params, saltBytes, hashBytes }, { variant: "sha1", params: { iterations: 4096 }, saltBytes: 4, hashBytes: 20 });
+});
+
+test("PBKDF2 round-trips its hashes in both formats", async () => {
+    for (let format of ["hex", "phc"]) {
+        let processor = new PBKDF2Processor({ digest: "sha256", iterations: 1000, format });
+        let stored = await processor.hash("correct horse");
+        assert.equal(PBKDF2Processor.inspect(stored).variant, "sha256");
+        assert.equal(await processor.compare("correct horse", stored), true, format);
+        assert.equal(await processor.compare("correct horsE", stored), false, format);
+        assert.equal(processor.needsRehash(stored), false, format);
+        assert.equal(processor.needsRehash(stored, { digest: "sha512" }), true, format);
+    }
+});
+
+test("PBKDF2 rejects malformed hashes", async () => {
+    let processor = new PBKDF2Processor({ digest: "sha256" });
+    for (let malformed of ["", "80706b01", "$pbkdf2$i=1$c2FsdA$", "$pbkdf2$i=x$c2FsdA$DGDID5YfDnHzqbUkr2ASBi/gN6Y"]) {
+        await assert.rejects(processor.compare("password", malformed), { code: "ERR_MALFORMED_HASH" }, malformed);
+    }
+});
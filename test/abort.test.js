@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const abort = require("../abort");
+const userCredentialProcessor = require("../index");
+
+test("abort watches nothing without a signal or a timeout", () => {
+    assert.equal(abort.watch(), null);
+    assert.equal(abort.watch({}), null);
+});
+
+test("abort rejects invalid signals and timeouts", () => {
+    assert.throws(() => abort.watch({ signal: {} }), { code: "ERR_CONFIGURATION" });
+    assert.throws(() => abort.watch({ timeoutMs: 0 }), { code: "ERR_CONFIGURATION" });
+    assert.throws(() => abort.watch({ timeoutMs: "soon" }), { code: "ERR_CONFIGURATION" });
+});
+
+test("abort aborts with an AbortedError once the timeout fires", async () => {
+    let watched = abort.watch({ timeoutMs: 10 });
+    let timer;
+    await assert.rejects(
+        abort.run(() => new Promise(resolve => {
+            timer = setTimeout(resolve, 1000);
+        }), watched.signal),
+        { code: "ERR_ABORTED", timedOut: true, timeoutMs: 10 }
+    );
+    clearTimeout(timer);
+    watched.dispose();
+});
+
+test("abort wraps the reason of a signal, and keeps an AbortedError as it is", () => {
+    let controller = new AbortController();
+    let watched = abort.watch({ signal: controller.signal });
+    let reason = new Error("gone");
+    controller.abort(reason);
+    assert.equal(watched.signal.reason.code, "ERR_ABORTED");
+    assert.equal(watched.signal.reason.timedOut, false);
+    assert.equal(watched.signal.reason.cause, reason);
+
+    let aborted = new userCredentialProcessor.AbortedError("Aborted", { timedOut: false });
+    assert.equal(abort.watch({ signal: AbortSignal.abort(aborted) }).signal.reason, aborted);
+});
+
+test("abort stops watching once disposed", async () => {
+    let controller = new AbortController();
+    let watched = abort.watch({ signal: controller.signal, timeoutMs: 10 });
+    watched.dispose();
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(watched.signal.aborted, false);
+});
+
+test("abort runs a task to its result, and never starts it once aborted", async () => {
+    assert.equal(await abort.run(() => Promise.resolve(1)), 1);
+    assert.equal(await abort.run(() => Promise.resolve(2), new AbortController().signal), 2);
+    await assert.rejects(abort.run(() => Promise.reject(new Error("failed")), new AbortController().signal), { message: "failed" });
+
+    let started = false;
+    await assert.rejects(abort.run(() => {
+        started = true;
+    }, AbortSignal.abort(new Error("aborted"))), { message: "aborted" });
+    assert.equal(started, false);
+});
+
+test("abort rejects hash, compare and compareMissing of a processor", async () => {
+    const Processor = userCredentialProcessor({ scrypt: true });
+    let processor = new Processor({ cost: 1024 });
+    let stored = await processor.hash("correct horse");
+    let signal = AbortSignal.abort();
+
+    await assert.rejects(processor.hash("correct horse", { signal }), { code: "ERR_ABORTED" });
+    await assert.rejects(processor.compare("correct horse", stored, { signal }), { code: "ERR_ABORTED" });
+    await assert.rejects(processor.compareMissing("correct horse", { signal }), { code: "ERR_ABORTED" });
+    assert.equal(await processor.compare("correct horse", stored, { timeoutMs: 60000 }), true);
+});
+
+test("abort drops a compare waiting for the pool once it times out", async () => {
+    const Processor = userCredentialProcessor({ scrypt: true });
+    let processor = new Processor({ cost: 1024, pool: { concurrency: 1 } });
+    let stored = await processor.hash("correct horse");
+
+    /**
+     * The slot is held until released, and a timer keeps the process alive, as that of timeoutMs does not
+     */
+    let release;
+    let holding = processor.pool.run(() => new Promise(resolve => {
+        release = resolve;
+    }));
+    let keepAlive = setTimeout(() => {}, 60000);
+    await assert.rejects(processor.compare("correct horse", stored, { timeoutMs: 10 }), { code: "ERR_ABORTED", timedOut: true });
+    assert.deepEqual(processor.pool.stats(), { running: 1, queued: 0 });
+
+    clearTimeout(keepAlive);
+    release();
+    await holding;
+    assert.equal(await processor.compare("correct horse", stored), true);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const Module = require("module");
+
+/**
+ * A host without any argon2 backend: the binding of the argon2 package fails to load, and
+ * crypto.argon2 is missing, as on Node before 24.7.
+ */
+const load = Module._load;
+Module._load = function (request) {
+    if (request === "argon2") {
+        throw new Error("Cannot find module 'argon2'");
+    }
+    return load.apply(this, arguments);
+};
+if (crypto.argon2) {
+    crypto.argon2 = undefined;
+}
+
+const userCredentialProcessor = require("../index");
+const { BackendUnavailableError } = require("../errors");
+
+const argon2 = "$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$CTFhFdXPJO1aFaMaO6Mm5c8y7cJHAph8ArZWb2GRPPc";
+
+test("argon2 is unavailable without its backend", () => {
+    assert.throws(() => userCredentialProcessor.capabilities("argon2"), BackendUnavailableError);
+    assert.throws(() => userCredentialProcessor({ argon2: true }), BackendUnavailableError);
+});
+
+test("argon2 hashes are inspected and audited without the backend", () => {
+    let inspection = userCredentialProcessor.inspect(argon2);
+    assert.equal(inspection.algorithm, "argon2");
+    assert.equal(inspection.variant, "argon2id");
+    assert.deepEqual(inspection.params, { version: 19, memoryCost: 65536, timeCost: 2, parallelism: 1 });
+    assert.equal(userCredentialProcessor.audit(argon2).inspection.algorithm, "argon2");
+});
+
+test("a composite processor works without the backend of an algorithm other than the primary", async () => {
+    const Processor = userCredentialProcessor({ bcrypt: true, argon2: true, primary: "bcrypt" });
+    let processor = new Processor({ bcrypt: { saltRounds: 4 } });
+
+    let stored = await processor.hash("password");
+    assert.equal(await processor.compare("password", stored), true);
+    assert.equal(processor.needsRehash(stored), false);
+    assert.equal(processor.needsRehash(argon2), true);
+    await assert.rejects(processor.compare("password", argon2), BackendUnavailableError);
+});
+
+test("a composite processor fails when created without the backend of the primary algorithm", () => {
+    const Processor = userCredentialProcessor({ bcrypt: true, argon2: true, primary: "argon2" });
+    assert.throws(() => new Processor(), BackendUnavailableError);
+});
+
+test("selfTest fails argon2 at load without its backend", async () => {
+    let report = await userCredentialProcessor.selfTest({ algorithms: ["argon2"] });
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.algorithms.argon2.checks, [
+        { name: "load", passed: false, error: "ERR_BACKEND_UNAVAILABLE", message: "Registry: Backend of argon2 is unavailable" }
+    ]);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BreachChecker = require("../breach");
+
+const sha1 = password => crypto.createHash("sha1").update(password).digest("hex").toUpperCase();
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ucp-breach-"));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Write a sorted dataset of passwords, each counted by its index plus one.
+ * @param {string} name - Name of the file.
+ * @param {string[]} passwords - Passwords.
+ * @param {object} [options] - newline, and whether the last line ends with it.
+ * @return {{ file: string, sorted: string[] }} Path to the file, and the passwords by the order of their hashes.
+ */
+const dataset = (name, passwords, options) => {
+    let { newline = "\r\n", trailing = true } = options || {};
+    let sorted = passwords.slice().sort((a, b) => sha1(a) < sha1(b) ? -1 : 1);
+    let lines = sorted.map(password => `${ sha1(password) }:${ passwords.indexOf(password) + 1 }`);
+    let file = path.join(directory, name);
+    fs.writeFileSync(file, lines.join(newline) + (trailing && lines.length > 0 ? newline : ""));
+    return { file, sorted };
+};
+
+const passwords = Array.from({ length: 500 }, (_, i) => `password${ i }`);
+
+test("breach finds the first, the last and every other line of a CRLF file", async () => {
+    let { file, sorted } = dataset("crlf.txt", passwords);
+    let checker = new BreachChecker({ file });
+    assert.equal(await checker.count(sorted[0]), passwords.indexOf(sorted[0]) + 1);
+    assert.equal(await checker.count(sorted[sorted.length - 1]), passwords.indexOf(sorted[sorted.length - 1]) + 1);
+    for (let password of passwords) {
+        assert.equal(await checker.count(password), passwords.indexOf(password) + 1, password);
+    }
+});
+
+test("breach counts 0 for hashes before, between and after the lines", async () => {
+    let { file } = dataset("missing.txt", passwords);
+    let checker = new BreachChecker({ file });
+    let hashes = passwords.map(sha1).sort();
+    let candidates = Array.from({ length: 20000 }, (_, i) => `absent${ i }`);
+    let before = candidates.find(password => sha1(password) < hashes[0]);
+    let after = candidates.find(password => sha1(password) > hashes[hashes.length - 1]);
+    assert.ok(before && after);
+
+    for (let password of [before, after, ...candidates.slice(0, 200)]) {
+        assert.equal(await checker.count(password), 0, password);
+    }
+});
+
+test("breach reads LF files, and files without a trailing line break", async () => {
+    for (let [name, options] of [["lf.txt", { newline: "\n" }], ["untrailed.txt", { trailing: false }]]) {
+        let { file, sorted } = dataset(name, passwords.slice(0, 50), options);
+        let checker = new BreachChecker({ file });
+        for (let password of sorted) {
+            assert.equal(await checker.count(password), passwords.indexOf(password) + 1, `${ name } ${ password }`);
+        }
+        assert.equal(await checker.count("absent"), 0);
+    }
+});
+
+test("breach reads files of one line and of none", async () => {
+    let { file } = dataset("one.txt", ["only"]);
+    assert.equal(await new BreachChecker({ file }).count("only"), 1);
+    assert.equal(await new BreachChecker({ file }).count("other"), 0);
+
+    let empty = dataset("empty.txt", []).file;
+    assert.equal(await new BreachChecker({ file: empty }).count("only"), 0);
+});
+
+test("breach reads range files by prefix, with or without .txt", async () => {
+    let ranges = path.join(directory, "ranges");
+    fs.mkdirSync(ranges);
+    let [first, second] = ["first", "second"].map(sha1);
+    fs.writeFileSync(path.join(ranges, `${ first.slice(0, 5) }.txt`), `0000000000000000000000000000000000A:1\r\n${ first.slice(5) }:7\r\n`);
+    fs.writeFileSync(path.join(ranges, second.slice(0, 5).toLowerCase()), `${ second.slice(5).toLowerCase() }:3`);
+
+    let checker = new BreachChecker({ directory: ranges });
+    assert.equal(await checker.count("first"), 7);
+    assert.equal(await checker.count("second"), 3);
+    await assert.rejects(checker.count("third"), { code: "ERR_BACKEND_UNAVAILABLE" });
+});
+
+test("breach rejects when the file cannot be read", async () => {
+    await assert.rejects(new BreachChecker({ file: path.join(directory, "absent.txt") }).count("x"), { code: "ENOENT" });
+    assert.throws(() => new BreachChecker({}), { code: "ERR_CONFIGURATION" });
+});
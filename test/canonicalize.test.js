@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const userCredentialProcessor = require("../index");
+const canonicalize = require("../canonicalize");
+const BcryptProcessor = require("../bcrypt");
+const { ConfigurationError, PasswordRejectedError } = require("../errors");
+
+const precomposed = "caf\u00E9";
+const decomposed = "cafe\u0301";
+
+const PBKDF2 = userCredentialProcessor({ PBKDF2: true });
+
+test("canonicalize normalizes by the configured form", () => {
+    assert.equal(canonicalize(decomposed), decomposed);
+    assert.equal(canonicalize(decomposed, { form: "NFC" }), precomposed);
+    assert.equal(canonicalize("\uFB01x", { form: "NFKC" }), "fix");
+    assert.equal(canonicalize("a\u00A0b\u00ADc", { form: "saslprep" }), "a bc");
+    assert.throws(() => canonicalize("a\u0007b", { form: "saslprep" }), PasswordRejectedError);
+    assert.throws(() => canonicalize("abcd", { maxLength: 3 }), PasswordRejectedError);
+});
+
+test("processors compare NFKC-equivalent passwords alike", async () => {
+    let processor = new PBKDF2({ iterations: 1, canonicalize: { form: "NFKC" } });
+    let stored = await processor.hash(precomposed);
+    assert.equal(await processor.compare(decomposed, stored), true);
+    assert.equal(await processor.compare("cafe", stored), false);
+
+    let plain = new PBKDF2({ iterations: 1 });
+    assert.equal(await plain.compare(decomposed, await plain.hash(precomposed)), false);
+});
+
+test("compare is false for passwords canonicalization rejects", async () => {
+    let processor = new PBKDF2({ iterations: 1, canonicalize: { form: "saslprep", maxLength: 8 } });
+    let stored = await processor.hash("password");
+    assert.equal(await processor.compare("pass\u0007word", stored), false);
+    assert.equal(await processor.compare("password is too long", stored), false);
+    await assert.rejects(processor.hash("pass\u0007word"), PasswordRejectedError);
+});
+
+test("processors refuse an unknown form when created", () => {
+    assert.throws(() => new PBKDF2({ canonicalize: { form: "nfc" } }), ConfigurationError);
+    assert.throws(() => new PBKDF2({ canonicalize: { maxLength: 0 } }), ConfigurationError);
+});
+
+test("bcrypt prehashes passwords longer than 72 bytes when configured to", async () => {
+    let long = "x".repeat(72);
+    let truncating = new BcryptProcessor({ saltRounds: 4 });
+    assert.equal(await truncating.compare(long + "b", await truncating.hash(long + "a")), true);
+
+    let prehashing = new BcryptProcessor({ saltRounds: 4, longPasswords: "prehash" });
+    let stored = await prehashing.hash(long + "a");
+    assert.match(stored, /^\$bcrypt-sha384\$\$2[ab]\$04\$/);
+    assert.equal(await prehashing.compare(long + "a", stored), true);
+    assert.equal(await prehashing.compare(long + "b", stored), false);
+    assert.equal(await truncating.compare(long + "a", stored), true, "compared as made regardless of the option");
+    assert.equal(BcryptProcessor.inspect(stored).format, "prehash");
+
+    let rejecting = new BcryptProcessor({ saltRounds: 4, longPasswords: "reject" });
+    await assert.rejects(rejecting.hash(long + "a"), PasswordRejectedError);
+    assert.match(await rejecting.hash(long), /^\$2[ab]\$04\$/);
+});
+
+test("bcrypt needsRehash follows the prehash option", async () => {
+    let truncating = new BcryptProcessor({ saltRounds: 4 });
+    let prehashing = new BcryptProcessor({ saltRounds: 4, longPasswords: "prehash" });
+    let prehashed = await prehashing.hash("password");
+    let plain = await truncating.hash("password");
+
+    assert.equal(prehashing.needsRehash(prehashed), false);
+    assert.equal(truncating.needsRehash(prehashed), true);
+    assert.equal(prehashing.needsRehash(plain), true);
+    assert.equal(prehashing.needsRehash(prehashed, { saltRounds: 5 }), true);
+
+    let keyring = { keys: { a: "secret" }, current: "a" };
+    let peppered = new BcryptProcessor({ saltRounds: 4, longPasswords: "prehash", pepper: keyring });
+    let stored = await peppered.hash("password");
+    assert.equal(peppered.needsRehash(stored), false);
+    assert.equal(await peppered.compare("password", stored), true);
+});
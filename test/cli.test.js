@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+const bcryptjs = require("bcryptjs");
+
+/**
+ * Run ucp with a password on stdin.
+ * @param {string[]} args - Arguments.
+ * @param {string} input - Standard input.
+ * @return {{ status: number, stdout: string, stderr: string }} Exit code and output.
+ */
+const ucp = (args, input) => spawnSync(process.execPath, [path.join(__dirname, "..", "cli.js"), ...args], {
+    input,
+    encoding: "utf8",
+    timeout: 60000
+});
+
+/**
+ * Run ucp as on a host without any argon2 backend (refer to backends.test.js).
+ * @param {string[]} args - Arguments.
+ * @param {string} input - Standard input.
+ * @return {{ status: number, stdout: string, stderr: string }} Exit code and output.
+ */
+const ucpWithoutArgon2 = (args, input) => spawnSync(
+    process.execPath,
+    [
+        "-e",
+        `const Module = require("module");
+        const load = Module._load;
+        Module._load = function (request) {
+            if (request === "argon2") {
+                throw new Error("Cannot find module 'argon2'");
+            }
+            return load.apply(this, arguments);
+        };
+        require("crypto").argon2 = undefined;
+        require(process.argv[1]);`,
+        path.join(__dirname, "..", "cli.js"),
+        ...args
+    ],
+    {
+        input,
+        encoding: "utf8",
+        timeout: 60000
+    }
+);
+
+test("ucp verifies hashes of each algorithm whose backend loads, by exit code", () => {
+    let hashes = [
+        "$pbkdf2$i=1$c2FsdA$DGDID5YfDnHzqbUkr2ASBi/gN6Y",
+        bcryptjs.hashSync("password", 4),
+        "$scrypt$ln=10,r=8,p=16$TmFDbA$/bq+HJ00cgB4VucZDQHp/nxq18vII3gw53N2Y0s3MWIurzDZLiKjiG/xCSedmDDaxyevuUqD7m2DYMvfoswGQA"
+    ];
+    for (let stored of hashes) {
+        let valid = ucp(["verify", stored], "password\n");
+        assert.equal(valid.status, 0, `${ stored } ${ valid.stderr }`);
+        assert.equal(valid.stdout.trim(), "valid");
+
+        let invalid = ucp(["verify", stored], "passwore\n");
+        assert.equal(invalid.status, 1, `${ stored } ${ invalid.stderr }`);
+        assert.equal(invalid.stdout.trim(), "invalid");
+    }
+});
+
+test("ucp verifies foreign hashes", () => {
+    let stored = "$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5";
+    assert.equal(ucp(["verify", stored], "Hello world!").status, 0);
+    assert.equal(ucp(["verify", stored], "Hello world").status, 1);
+});
+
+test("ucp inspects hashes, and exits with 2 on errors and without a command", () => {
+    let inspected = ucp(["inspect", "$pbkdf2$i=1$c2FsdA$DGDID5YfDnHzqbUkr2ASBi/gN6Y"]);
+    assert.equal(inspected.status, 0, inspected.stderr);
+    assert.equal(JSON.parse(inspected.stdout).algorithm, "pbkdf2");
+
+    assert.equal(ucp(["inspect", "not a hash"]).status, 2);
+    assert.equal(ucp(["verify"]).status, 2);
+    assert.equal(ucp([]).status, 2);
+});
+
+test("ucp bench skips algorithms whose backends fail to load", () => {
+    let bench = ucpWithoutArgon2(["bench", "--samples", "1", "--options", "{\"iterations\":1,\"cost\":1024,\"saltRounds\":4}"]);
+    assert.equal(bench.status, 0, bench.stderr);
+    assert.match(bench.stdout, /^argon2 +skipped, backend unavailable$/m);
+    assert.match(bench.stdout, /^pbkdf2 +median /m);
+    assert.match(bench.stdout, /^bcrypt +median /m);
+});
+
+test("ucp migrate-report counts hashes it does not recognise, and audits argon2 without its backend", () => {
+    let lines = [
+        { hash: "$pbkdf2$i=1$c2FsdA$DGDID5YfDnHzqbUkr2ASBi/gN6Y" },
+        { hash: "$argon2id$v=19$m=65536,t=3,p=4$c29tZXNhbHQ$CTFhFdXPJO1aFaMaO6Mm5c8y7cJHAph8ArZWb2GRPPc" },
+        { hash: "not a hash" },
+        { hash: "$argon2id$v=19$malformed" },
+        {}
+    ].map(line => JSON.stringify(line)).join("\n");
+    let report = ucpWithoutArgon2(["migrate-report", "-", "--format", "jsonl", "--json"], lines);
+    assert.equal(report.status, 0, report.stderr);
+
+    let summary = JSON.parse(report.stdout);
+    assert.equal(summary.total, 5);
+    assert.equal(summary.unrecognised, 3);
+    assert.equal(summary.algorithms["argon2 argon2id phc"].count, 1);
+    assert.equal(summary.algorithms["pbkdf2 sha1 phc"].upgrade, 1);
+});
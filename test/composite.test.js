@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const userCredentialProcessor = require("../index");
+const PBKDF2Processor = require("../PBKDF2");
+const ScryptProcessor = require("../scrypt");
+const BcryptProcessor = require("../bcrypt");
+const { ConfigurationError, UnsupportedAlgorithmError } = require("../errors");
+
+/**
+ * Options of cheap processors, keyed by algorithm as a composite processor takes them.
+ */
+const options = {
+    pbkdf2: { iterations: 1, format: "phc" },
+    scrypt: { cost: 1024 },
+    bcrypt: { saltRounds: 4 }
+};
+
+/**
+ * A composite processor of PBKDF2, scrypt and bcrypt.
+ * @param {string} primary - The primary algorithm.
+ * @return {object} The processor.
+ */
+const composite = (primary) => {
+    const Processor = userCredentialProcessor({ PBKDF2: true, scrypt: true, bcrypt: true, primary });
+    return new Processor(options);
+};
+
+test("composite hashes with the primary algorithm", async () => {
+    for (let primary of ["pbkdf2", "scrypt", "bcrypt"]) {
+        let processor = composite(primary);
+        let stored = await processor.hash("password");
+        assert.equal(processor.detect(stored), primary);
+        assert.equal(await processor.compare("password", stored), true);
+    }
+});
+
+test("composite compares each hash by the algorithm that made it", async () => {
+    let processor = composite("scrypt");
+    let hashes = [
+        await new PBKDF2Processor(options.pbkdf2).hash("password"),
+        await new PBKDF2Processor({ iterations: 1 }).hash("password"),
+        await new ScryptProcessor(options.scrypt).hash("password"),
+        await new BcryptProcessor(options.bcrypt).hash("password")
+    ];
+    for (let stored of hashes) {
+        assert.equal(await processor.compare("password", stored), true, stored);
+        assert.equal(await processor.compare("passwore", stored), false, stored);
+    }
+    assert.deepEqual(hashes.map(stored => processor.detect(stored)), ["pbkdf2", "pbkdf2", "scrypt", "bcrypt"]);
+});
+
+test("composite asks to rehash hashes of other algorithms, and weaker ones of the primary", async () => {
+    let processor = composite("scrypt");
+    let pbkdf2 = await new PBKDF2Processor(options.pbkdf2).hash("password");
+    let bcrypt = await new BcryptProcessor(options.bcrypt).hash("password");
+    let scrypt = await processor.hash("password");
+    let weaker = await new ScryptProcessor({ cost: 512 }).hash("password");
+
+    assert.equal(processor.needsRehash(pbkdf2), true);
+    assert.equal(processor.needsRehash(bcrypt), true);
+    assert.equal(processor.needsRehash(scrypt), false);
+    assert.equal(processor.needsRehash(weaker), true);
+    assert.equal(processor.needsRehash(scrypt, { cost: 2048 }), true);
+});
+
+test("composite rejects hashes of no enabled algorithm", async () => {
+    const Processor = userCredentialProcessor({ PBKDF2: true, scrypt: true, primary: "scrypt" });
+    let processor = new Processor(options);
+    let bcrypt = await new BcryptProcessor(options.bcrypt).hash("password");
+
+    await assert.rejects(processor.compare("password", bcrypt), UnsupportedAlgorithmError);
+    await assert.rejects(processor.compare("password", "not a hash"), UnsupportedAlgorithmError);
+    assert.throws(() => processor.needsRehash(bcrypt), UnsupportedAlgorithmError);
+});
+
+test("composite needs a primary algorithm among those enabled", () => {
+    assert.throws(() => userCredentialProcessor({ PBKDF2: true, scrypt: true }), ConfigurationError);
+    const Processor = userCredentialProcessor({ PBKDF2: true, scrypt: true, primary: "bcrypt" });
+    assert.throws(() => new Processor(options), ConfigurationError);
+});
+
+test("composite shares the pepper among the enabled algorithms", async () => {
+    const Processor = userCredentialProcessor({ PBKDF2: true, scrypt: true, primary: "scrypt" });
+    let pepper = { keys: { a: "secret" }, current: "a" };
+    let processor = new Processor(Object.assign({ pepper }, options));
+    let pbkdf2 = await new PBKDF2Processor(Object.assign({ pepper }, options.pbkdf2)).hash("password");
+
+    assert.equal(processor.detect(pbkdf2), "pbkdf2");
+    assert.equal(await processor.compare("password", pbkdf2), true);
+    assert.equal(await processor.compare("password", await processor.hash("password")), true);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const errors = require("../errors");
+const PBKDF2Processor = require("../PBKDF2");
+const ScryptProcessor = require("../scrypt");
+const BcryptProcessor = require("../bcrypt");
+
+test("translate keys on the code of the error, not its message", () => {
+    let digest = Object.assign(new Error("anything"), { code: "ERR_CRYPTO_INVALID_DIGEST" });
+    assert.equal(errors.translate(digest, "X", "Failed").code, "ERR_UNSUPPORTED_ALGORITHM");
+    assert.equal(errors.translate(digest, "X", "Failed").cause, digest);
+
+    let assertion = Object.assign(new Error("anything"), { code: "ERR_ASSERTION" });
+    assert.equal(errors.translate(assertion, "X", "Failed").code, "ERR_PARAMETER_OUT_OF_RANGE");
+    assert.equal(errors.translate(new RangeError("anything"), "X", "Failed").code, "ERR_PARAMETER_OUT_OF_RANGE");
+
+    for (let message of ["unsupported digest", "must be at least 8", "out of range"]) {
+        let translated = errors.translate(new Error(message), "X", "Failed");
+        assert.equal(translated.code, "ERR_USER_CREDENTIAL", message);
+        assert.equal(translated.message, "X: Failed");
+    }
+
+    let typed = new errors.MalformedHashError("X: Malformed hash");
+    assert.equal(errors.translate(typed, "X", "Failed"), typed);
+});
+
+test("PBKDF2 rejects a digest OpenSSL does not provide", async () => {
+    let processor = new PBKDF2Processor({ digest: "nosuchdigest" });
+    await assert.rejects(processor.hash("password"), errors.UnsupportedAlgorithmError);
+
+    let stored = await new PBKDF2Processor({ iterations: 1, format: "phc" }).hash("password");
+    let replaced = stored.replace("pbkdf2-sha512", "pbkdf2-nosuchdigest");
+    await assert.rejects(new PBKDF2Processor().compare("password", replaced), errors.UnsupportedAlgorithmError);
+});
+
+test("scrypt rejects parameters out of range with ParameterOutOfRangeError", async () => {
+    let processor = new ScryptProcessor({ cost: 3 });
+    await assert.rejects(processor.hash("password"), errors.ParameterOutOfRangeError);
+});
+
+test("bcrypt rejects what is not a bcrypt hash with MalformedHashError", async () => {
+    let processor = new BcryptProcessor({ saltRounds: 4 });
+    for (let stored of [null, undefined, 42, "", "junk", "$2b$10$short", crypto.randomBytes(8).toString("hex")]) {
+        await assert.rejects(processor.compare("password", stored), errors.MalformedHashError, String(stored));
+        assert.throws(() => processor.needsRehash(stored), errors.MalformedHashError, String(stored));
+    }
+
+    let stored = await processor.hash("password");
+    assert.equal(await processor.compare("password", stored), true);
+    assert.equal(processor.needsRehash(stored), false);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const bcryptjs = require("bcryptjs");
+const userCredentialProcessor = require("../index");
+const foreign = require("../foreign");
+const shacrypt = require("../shacrypt");
+const { ParameterOutOfRangeError } = require("../errors");
+
+/**
+ * Test vectors of https://www.akkadia.org/drepper/SHA-crypt.txt
+ */
+const shaCryptVectors = [
+    ["Hello world!", "$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5"],
+    ["Hello world!", "$5$rounds=10000$saltstringsaltst$3xv.VbSHBb41AL9AvLeujZkZRBAwqFMz2.opqey6IcA"],
+    ["This is just a test", "$5$rounds=5000$toolongsaltstrin$Un/5jzAHMgOGZ5.mWJpuVolil07guHPvOW8mGRcvxa5"],
+    [
+        "a very much longer text to encrypt.  This one even stretches over morethan one line.",
+        "$5$rounds=1400$anotherlongsalts$Rx.j8H.h8HjEDGomFU8bDkXm3XIUnzyxf12oP84Bnq1"
+    ],
+    ["we have a short salt string but not a short password", "$5$rounds=77777$short$JiO1O3ZpDAxGJeaDIuqCoEFysAe1mZNJRs3pw0KQRd/"],
+    ["a short string", "$5$rounds=123456$asaltof16chars..$gP3VQ/6X7UUEW3HkBn2w1/Ptq2jxPyzV/cZKmF/wJvD"],
+    ["the minimum number is still observed", "$5$rounds=10$roundstoolow$yfvwcWrQ8l/K0DAWyuPMDNHpIVlTQebY9l/gL972bIC"],
+    ["Hello world!", "$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1"],
+    [
+        "Hello world!",
+        "$6$rounds=10000$saltstringsaltst$OW1/O6BYHV6BcXZu8QVeXbDWra3Oeqh0sbHbbMCVNSnCM/UrjmM0Dp8vOuZeHBy/YTBmSK6H9qs/y3RnOaw5v."
+    ],
+    [
+        "This is just a test",
+        "$6$rounds=5000$toolongsaltstrin$lQ8jolhgVRVhY4b5pZKaysCLi0QBxGoNeKQzQ3glMhwllF7oGDZxUhx1yxdYcz/e1JSbq3y6JMxxl8audkUEm0"
+    ],
+    [
+        "the minimum number is still observed",
+        "$6$rounds=10$roundstoolow$kUMsbe306n21p9R.FRkW3IGn.S9NPN0x50YhH1xhLsPuWGsUSklZt58jaTfF4ZEQpyUNGc0dqbpBYYBaHHrsX."
+    ]
+];
+
+/**
+ * Hashes of "correct horse" made by Python's hashlib as each system makes them.
+ */
+const vectors = {
+    django: "pbkdf2_sha256$10000$seasalt$yUSQkCSBBGjOglsg2f0YsigZVwZC6oXxFCoUK6nZWMQ=",
+    werkzeug: "pbkdf2:sha256:10000$seasalt$c944909024810468ce825b20d9fd18b22819570642ea85f1142a142ba9d958c4",
+    passlib: "$pbkdf2-sha256$10000$c2l4dGVlbmJ5dGVzYWx0IQ$SRr/.djcAuYC61xwBnP6kcYwmxgqK1Ak9qY3U0O6//Q",
+    digest: "3cb4e732631f47e6eb961f34554b7cde"
+};
+
+test("foreign verifies the SHA-crypt vectors of Drepper", async () => {
+    for (let [password, stored] of shaCryptVectors) {
+        assert.equal(foreign.detect(stored), "shacrypt", stored);
+        assert.equal(await foreign.compare(password, stored), true, stored);
+        assert.equal(await foreign.compare(password + " ", stored), false, stored);
+    }
+});
+
+test("foreign rejects SHA-crypt beyond its limits, and takes limits of its options", async () => {
+    let stored = "$5$rounds=123456$asaltof16chars..$gP3VQ/6X7UUEW3HkBn2w1/Ptq2jxPyzV/cZKmF/wJvD";
+    let limits = { shacrypt: { maxRounds: 100000 } };
+    await assert.rejects(foreign.compare("a short string", stored, null, limits), ParameterOutOfRangeError);
+
+    let huge = "$6$rounds=999999999$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1";
+    await assert.rejects(foreign.compare("Hello world!", huge), ParameterOutOfRangeError);
+
+    let long = "x".repeat(1025);
+    await assert.rejects(foreign.compare(long, shaCryptVectors[0][1]), ParameterOutOfRangeError);
+    assert.equal(await foreign.compare(long, shaCryptVectors[0][1], null, { shacrypt: { maxPasswordLength: 2048 } }), false);
+});
+
+test("SHA-crypt runs in a worker thread, with the event loop free meanwhile", async () => {
+    let ticks = 0;
+    let timer = setInterval(() => ticks++, 1);
+    let computed = await shacrypt.compute(Buffer.from("Hello world!"), Buffer.from("saltstring"), 200000, "sha512");
+    clearInterval(timer);
+    assert.equal(computed, shacrypt.hash(Buffer.from("Hello world!"), Buffer.from("saltstring"), 200000, "sha512"));
+    assert.ok(ticks > 1, `${ ticks } ticks`);
+});
+
+test("processors pass the SHA-crypt limits of their foreign option", async () => {
+    const Processor = userCredentialProcessor({ PBKDF2: true });
+    let stored = "$5$rounds=123456$asaltof16chars..$gP3VQ/6X7UUEW3HkBn2w1/Ptq2jxPyzV/cZKmF/wJvD";
+    assert.equal(await new Processor({ foreign: true }).compare("a short string", stored), true);
+    let limited = new Processor({ foreign: { adapters: ["shacrypt"], shacrypt: { maxRounds: 100000 } } });
+    await assert.rejects(limited.compare("a short string", stored), ParameterOutOfRangeError);
+    assert.deepEqual(limited.foreign, ["shacrypt"]);
+});
+
+test("foreign does not take SHA-crypt hashes of the wrong length", () => {
+    assert.equal(foreign.detect("$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc"), null);
+    assert.equal(foreign.detect("$6$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5"), null);
+});
+
+test("foreign verifies hashes of Django, Werkzeug, passlib and unsalted digests", async () => {
+    for (let name of Object.keys(vectors)) {
+        assert.equal(foreign.detect(vectors[name]), name);
+        assert.equal(await foreign.compare("correct horse", vectors[name]), true, name);
+        assert.equal(await foreign.compare("correct horsE", vectors[name]), false, name);
+    }
+});
+
+test("foreign verifies salted digests of Django and LDAP", async () => {
+    for (let stored of ["md5$pepper$52f36768c11844771e5f7ff576e2dba2", "{SSHA}LhKrkM9Fy+zlstjdD7Kv2s6QvhBzYWx0"]) {
+        assert.equal(foreign.detect(stored), "digest");
+        assert.equal(await foreign.compare("correct horse", stored), true, stored);
+        assert.equal(await foreign.compare("correct horsE", stored), false, stored);
+    }
+});
+
+test("foreign verifies passlib scrypt hashes of its default cost", async () => {
+    let stored = "$scrypt$ln=16,r=8,p=1$cGFzc2xpYnNhbHRwYXNzbA$Se3DVtJUwgsOBe/nV77yXxz/2D36IplA8doY7cd+fGc";
+    assert.equal(await foreign.compare("password", stored), true);
+});
+
+test("foreign verifies $2y$ hashes of PHP", async () => {
+    let stored = bcryptjs.hashSync("correct horse", 4).replace(/^\$2b\$/, "$2y$");
+    assert.equal(foreign.detect(stored), "bcrypt2y");
+    assert.equal(await foreign.compare("correct horse", stored), true);
+    assert.equal(await foreign.compare("correct horsE", stored), false);
+});
+
+test("foreign only uses the adapters enabled", async () => {
+    assert.equal(foreign.detect(vectors.django, ["werkzeug"]), null);
+    await assert.rejects(foreign.compare("correct horse", vectors.django, ["werkzeug"]), { code: "ERR_UNSUPPORTED_ALGORITHM" });
+    assert.throws(() => foreign.detect(vectors.django, ["unknown"]), { code: "ERR_UNSUPPORTED_ALGORITHM" });
+});
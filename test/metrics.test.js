@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const userCredentialProcessor = require("../index");
+const { Metrics } = userCredentialProcessor;
+const { ConfigurationError } = require("../errors");
+
+const PBKDF2 = userCredentialProcessor({ PBKDF2: true });
+
+test("hooks fire once per hash and compare, with what is decoded from the hash", async () => {
+    let events = [];
+    let processor = new PBKDF2({
+        iterations: 1,
+        format: "phc",
+        hooks: {
+            onHash: event => events.push(event),
+            onCompare: event => events.push(event)
+        }
+    });
+
+    let stored = await processor.hash("password");
+    await processor.compare("password", stored);
+    await processor.compare("passwore", stored);
+    await assert.rejects(processor.compare("password", "$pbkdf2-sha512$i=1$$"));
+
+    assert.deepEqual(
+        events.map(({ operation, outcome }) => `${ operation } ${ outcome }`),
+        ["hash success", "compare match", "compare mismatch", "compare error"]
+    );
+    let [hashed, matched] = events;
+    assert.equal(hashed.algorithm, "pbkdf2");
+    assert.equal(matched.variant, "sha512");
+    assert.deepEqual(matched.params, { iterations: 1 });
+    assert.equal(matched.rehash, false);
+    assert.equal(events[3].error, "ERR_MALFORMED_HASH");
+    assert.ok(events.every(({ duration }) => duration >= 0));
+    assert.ok(events.every(event => !JSON.stringify(event).includes(stored.split("$")[3])), "salts are never reported");
+});
+
+test("hooks report compares whose hash should be made again", async () => {
+    let events = [];
+    let stored = await new PBKDF2({ iterations: 1 }).hash("password");
+    let processor = new PBKDF2({ iterations: 2, hooks: { onCompare: event => events.push(event) } });
+    await processor.compare("password", stored);
+    await processor.compare("passwore", stored);
+    assert.deepEqual(events.map(({ rehash }) => rehash), [true, false]);
+});
+
+test("errors of hooks never change the result", async () => {
+    let processor = new PBKDF2({
+        iterations: 1,
+        hooks: { onHash: () => { throw new Error("hook failed"); } },
+        logger: { warn: () => {}, error: () => {} }
+    });
+    let stored = await processor.hash("password");
+    assert.equal(await processor.compare("password", stored), true);
+});
+
+test("Metrics exposes histograms and rehash counts in the Prometheus text format", () => {
+    let metrics = new Metrics({ buckets: [0.01, 0.1], prefix: "ucp" });
+    metrics.hooks.onHash({ operation: "hash", algorithm: "scrypt", outcome: "success", duration: 5 });
+    metrics.hooks.onCompare({ operation: "compare", algorithm: "scrypt", outcome: "match", duration: 50, rehash: true });
+    metrics.hooks.onCompare({ operation: "compare", algorithm: "scrypt", outcome: "match", duration: 500, rehash: false });
+    metrics.hooks.onCompare({ operation: "compare", algorithm: "a\"b", outcome: "error", duration: 1 });
+
+    assert.equal(metrics.text(), [
+        "# HELP ucp_duration_seconds Duration of hash and compare in seconds.",
+        "# TYPE ucp_duration_seconds histogram",
+        "ucp_duration_seconds_bucket{operation=\"compare\",algorithm=\"a\\\"b\",outcome=\"error\",le=\"0.01\"} 1",
+        "ucp_duration_seconds_bucket{operation=\"compare\",algorithm=\"a\\\"b\",outcome=\"error\",le=\"0.1\"} 1",
+        "ucp_duration_seconds_bucket{operation=\"compare\",algorithm=\"a\\\"b\",outcome=\"error\",le=\"+Inf\"} 1",
+        "ucp_duration_seconds_sum{operation=\"compare\",algorithm=\"a\\\"b\",outcome=\"error\"} 0.001",
+        "ucp_duration_seconds_count{operation=\"compare\",algorithm=\"a\\\"b\",outcome=\"error\"} 1",
+        "ucp_duration_seconds_bucket{operation=\"compare\",algorithm=\"scrypt\",outcome=\"match\",le=\"0.01\"} 0",
+        "ucp_duration_seconds_bucket{operation=\"compare\",algorithm=\"scrypt\",outcome=\"match\",le=\"0.1\"} 1",
+        "ucp_duration_seconds_bucket{operation=\"compare\",algorithm=\"scrypt\",outcome=\"match\",le=\"+Inf\"} 2",
+        "ucp_duration_seconds_sum{operation=\"compare\",algorithm=\"scrypt\",outcome=\"match\"} 0.55",
+        "ucp_duration_seconds_count{operation=\"compare\",algorithm=\"scrypt\",outcome=\"match\"} 2",
+        "ucp_duration_seconds_bucket{operation=\"hash\",algorithm=\"scrypt\",outcome=\"success\",le=\"0.01\"} 1",
+        "ucp_duration_seconds_bucket{operation=\"hash\",algorithm=\"scrypt\",outcome=\"success\",le=\"0.1\"} 1",
+        "ucp_duration_seconds_bucket{operation=\"hash\",algorithm=\"scrypt\",outcome=\"success\",le=\"+Inf\"} 1",
+        "ucp_duration_seconds_sum{operation=\"hash\",algorithm=\"scrypt\",outcome=\"success\"} 0.005",
+        "ucp_duration_seconds_count{operation=\"hash\",algorithm=\"scrypt\",outcome=\"success\"} 1",
+        "# HELP ucp_rehash_recommended_total Matching compares whose hash should be made again.",
+        "# TYPE ucp_rehash_recommended_total counter",
+        "ucp_rehash_recommended_total{algorithm=\"scrypt\"} 1",
+        ""
+    ].join("\n"));
+
+    metrics.reset();
+    assert.equal(metrics.text().split("\n").filter(line => !line.startsWith("#")).join(""), "");
+});
+
+test("Metrics refuses invalid buckets and prefixes", () => {
+    assert.throws(() => new Metrics({ buckets: [0.1, 0.01] }), ConfigurationError);
+    assert.throws(() => new Metrics({ buckets: [] }), ConfigurationError);
+    assert.throws(() => new Metrics({ prefix: "user-credential" }), ConfigurationError);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const userCredentialProcessor = require("../index");
+
+/**
+ * A processor whose hooks count the hashes and compares that run.
+ * @return {{ processor: object, counts: { hash: number, compare: number } }} The processor and its counts.
+ */
+const counted = () => {
+    let counts = { hash: 0, compare: 0 };
+    const Processor = userCredentialProcessor({ scrypt: true });
+    let processor = new Processor({
+        cost: 1024,
+        hooks: {
+            onHash: () => counts.hash++,
+            onCompare: () => counts.compare++
+        }
+    });
+    return { processor, counts };
+};
+
+test("compareMissing compares against the decoy made by prepareDecoy", async () => {
+    let { processor, counts } = counted();
+    await processor.prepareDecoy();
+    assert.deepEqual(counts, { hash: 1, compare: 0 });
+
+    assert.deepEqual(await Promise.all([processor.compareMissing("a"), processor.compareMissing("b")]), [false, false]);
+    assert.deepEqual(counts, { hash: 1, compare: 2 });
+});
+
+test("compareMissing costs one hash per call until there is a decoy", async () => {
+    let { processor, counts } = counted();
+    assert.deepEqual(await Promise.all([processor.compareMissing("a"), processor.compareMissing("b")]), [false, false]);
+    assert.deepEqual(counts, { hash: 2, compare: 0 });
+
+    assert.equal(await processor.compareMissing("c"), false);
+    assert.deepEqual(counts, { hash: 2, compare: 1 });
+});
+
+test("compareMissing rejects with the error of hashing, and hashes again at the next call", async () => {
+    const Processor = userCredentialProcessor({ scrypt: true });
+    let processor = new Processor({ cost: 3 });
+    await assert.rejects(processor.prepareDecoy(), { code: "ERR_PARAMETER_OUT_OF_RANGE" });
+    await assert.rejects(processor.compareMissing("a"), { code: "ERR_PARAMETER_OUT_OF_RANGE" });
+    assert.equal(processor.decoy, undefined);
+});
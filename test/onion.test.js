@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const userCredentialProcessor = require("../index");
+const onion = require("../onion");
+const { UnsupportedAlgorithmError } = require("../errors");
+
+const PBKDF2 = userCredentialProcessor({ PBKDF2: true });
+
+/**
+ * Hex digest of a string.
+ * @param {string} digest - md5 or sha1.
+ * @param {string} data - Data.
+ * @return {string} The hex digest.
+ */
+const hex = (digest, data) => crypto.createHash(digest).update(data).digest("hex");
+
+/**
+ * Legacy hashes of "correct horse" in formats the digest adapter of foreign.js verifies.
+ */
+const legacy = {
+    md5: hex("md5", "correct horse"),
+    sha1: hex("sha1", "correct horse"),
+    django: "md5$pepper$52f36768c11844771e5f7ff576e2dba2",
+    ldap: "{SSHA}LhKrkM9Fy+zlstjdD7Kv2s6QvhBzYWx0"
+};
+
+test("wrapLegacy hashes a legacy hash, which then verifies the password", async () => {
+    let processor = new PBKDF2({ iterations: 1 });
+    for (let name of Object.keys(legacy)) {
+        let wrapped = await processor.wrapLegacy(legacy[name]);
+        assert.match(wrapped, /^\$onion\$(md5|sha1)[,$]/, name);
+        assert.equal(await processor.compare("correct horse", wrapped), true, name);
+        assert.equal(await processor.compare("correct horsf", wrapped), false, name);
+        assert.equal(processor.needsRehash(wrapped), true, name);
+    }
+});
+
+test("wrapLegacy records the legacy transform, and hashes the legacy digest itself", async () => {
+    let processor = new PBKDF2({ iterations: 1, format: "phc" });
+    let wrapped = await processor.wrapLegacy(legacy.sha1);
+    let { layer, stored } = onion.unwrap(wrapped);
+    assert.equal(layer.digest, "sha1");
+    assert.equal(await processor.compare(legacy.sha1, stored), true);
+    assert.equal(userCredentialProcessor.inspect(wrapped).onion, "sha1");
+});
+
+test("verifyAndRehash replaces an onion hash with a plain one", async () => {
+    let processor = new PBKDF2({ iterations: 1 });
+    let wrapped = await processor.wrapLegacy(legacy.md5);
+
+    let { valid, newHash } = await processor.verifyAndRehash("correct horse", wrapped);
+    assert.equal(valid, true);
+    assert.equal(onion.unwrap(newHash).layer, null);
+    assert.equal(await processor.compare("correct horse", newHash), true);
+    assert.equal(processor.needsRehash(newHash), false);
+
+    assert.deepEqual(await processor.verifyAndRehash("correct horsf", wrapped), { valid: false, newHash: null });
+});
+
+test("wrapLegacy rejects hashes other than MD5 and SHA-1", async () => {
+    let processor = new PBKDF2({ iterations: 1 });
+    await assert.rejects(processor.wrapLegacy(hex("sha256", "correct horse")), UnsupportedAlgorithmError);
+    await assert.rejects(processor.wrapLegacy("not a hash"), UnsupportedAlgorithmError);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const pepper = require("../pepper");
+const { ConfigurationError } = require("../errors");
+const PBKDF2Processor = require("../PBKDF2");
+const ScryptProcessor = require("../scrypt");
+const BcryptProcessor = require("../bcrypt");
+
+const keyring = {
+    keys: { "2019-01": "first secret", "2019-07": "second secret" },
+    current: "2019-01"
+};
+
+/**
+ * Processors with cheap parameters and a pepper keyring.
+ * @param {object} keyring - Pepper keyring.
+ * @return {object[]} One processor per algorithm supporting hmac pepper.
+ */
+const processors = keyring => [
+    new PBKDF2Processor({ iterations: 1, pepper: keyring }),
+    new ScryptProcessor({ cost: 1024, pepper: keyring }),
+    new BcryptProcessor({ saltRounds: 4, pepper: keyring })
+];
+
+test("pepper wraps and unwraps key IDs", () => {
+    let wrapped = pepper.wrap("$2b$hash", "2019-07");
+    assert.equal(wrapped, "$pepper$id=2019-07,m=hmac$$2b$hash");
+    assert.deepEqual(pepper.unwrap(wrapped), { id: "2019-07", mode: "hmac", stored: "$2b$hash" });
+    assert.deepEqual(pepper.unwrap("$2b$hash"), { id: null, mode: null, stored: "$2b$hash" });
+    assert.equal(pepper.wrap("$2b$hash", null), "$2b$hash");
+    assert.throws(() => pepper.wrap("$2b$hash", "2019 07"), ConfigurationError);
+});
+
+test("pepper hashes with the current key and compares with the recorded one", async () => {
+    for (let processor of processors(keyring)) {
+        let stored = await processor.hash("password");
+        assert.equal(pepper.unwrap(stored).id, "2019-01");
+        assert.equal(await processor.compare("password", stored), true);
+        assert.equal(await processor.compare("passwore", stored), false);
+        assert.equal(processor.needsRehash(stored), false);
+
+        let unpeppered = pepper.unwrap(stored).stored;
+        assert.equal(await processor.compare("password", unpeppered), false, "the pepper is not optional");
+    }
+});
+
+test("pepper rotation keeps old hashes comparable and asks for rehashing", async () => {
+    let rotated = Object.assign({}, keyring, { current: "2019-07" });
+    let before = processors(keyring);
+    let after = processors(rotated);
+    for (let i = 0; i < before.length; i++) {
+        let stored = await before[i].hash("password");
+        assert.equal(await after[i].compare("password", stored), true);
+        assert.equal(after[i].needsRehash(stored), true);
+
+        let rehashed = await after[i].hash("password");
+        assert.equal(pepper.unwrap(rehashed).id, "2019-07");
+        assert.equal(after[i].needsRehash(rehashed), false);
+    }
+});
+
+test("pepper rejects hashes made with a key no longer in the keyring", async () => {
+    let retired = { keys: { "2019-07": "second secret" }, current: "2019-07" };
+    for (let [i, processor] of processors(keyring).entries()) {
+        let stored = await processor.hash("password");
+        await assert.rejects(processors(retired)[i].compare("password", stored), ConfigurationError);
+        await assert.rejects(processors(null)[i].compare("password", stored), ConfigurationError);
+        assert.equal(processors(null)[i].needsRehash(stored), true);
+    }
+});
+
+test("pepper rejects an invalid current key ID before hashing", async () => {
+    let invalid = { keys: { "2019 07": "secret" }, current: "2019 07" };
+    for (let processor of processors(invalid)) {
+        await assert.rejects(processor.hash("password"), ConfigurationError);
+    }
+    assert.throws(() => pepper.apply("password", invalid), ConfigurationError);
+    assert.throws(() => pepper.apply("password", { keys: {}, current: undefined }), ConfigurationError);
+});
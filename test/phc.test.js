@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const phc = require("../phc");
+
+test("phc serializes and deserializes back", () => {
+    let fields = { id: "scrypt", params: { ln: 14, r: 8, p: 1 }, salt: Buffer.from("SodiumChloride"), hash: Buffer.from([0, 1, 254, 255]) };
+    let serialized = phc.serialize(fields);
+    assert.equal(serialized, "$scrypt$ln=14,r=8,p=1$U29kaXVtQ2hsb3JpZGU$AAH+/w");
+    assert.deepEqual(phc.deserialize(serialized), Object.assign({}, fields, { params: { ln: "14", r: "8", p: "1" } }));
+});
+
+test("phc leaves out an empty parameter list", () => {
+    let serialized = phc.serialize({ id: "pbkdf2", params: {}, salt: Buffer.from("salt"), hash: Buffer.from("hash") });
+    assert.equal(serialized, "$pbkdf2$c2FsdA$aGFzaA");
+    assert.deepEqual(phc.deserialize(serialized).params, {});
+});
+
+test("phc accepts the adapted base64 of passlib", () => {
+    let { salt, hash } = phc.deserialize("$pbkdf2-sha256$i=1$c2FsdA$AAH./w");
+    assert.equal(salt.toString(), "salt");
+    assert.deepEqual(hash, Buffer.from([0, 1, 254, 255]));
+});
+
+test("phc rejects malformed strings", () => {
+    for (let malformed of [
+        undefined,
+        "",
+        "scrypt$ln=14$c2FsdA$aGFzaA",
+        "$scrypt$c2FsdA",
+        "$Scrypt$c2FsdA$aGFzaA",
+        "$scrypt$ln=14$r=8$c2FsdA$aGFzaA",
+        "$scrypt$ln=14,,r=8$c2FsdA$aGFzaA",
+        "$scrypt$ln=14$c2Fs*A$aGFzaA",
+        "$scrypt$ln=14$c2FsdA$aGFz-A"
+    ]) {
+        assert.throws(() => phc.deserialize(malformed), { code: "ERR_MALFORMED_HASH" }, String(malformed));
+    }
+});
+
+test("phc tests identifiers", () => {
+    assert.equal(phc.test("$pbkdf2-sha512$i=1$c2FsdA$aGFzaA", /^pbkdf2(?:-sha\d+)?$/), true);
+    assert.equal(phc.test("$scrypt$ln=1$c2FsdA$aGFzaA", /^pbkdf2(?:-sha\d+)?$/), false);
+    assert.equal(phc.test(null, /^scrypt$/), false);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const PasswordPolicy = require("../policy");
+
+const codes = ({ reasons }) => reasons.map(({ code }) => code);
+
+test("policy accepts a passphrase of uncommon words", () => {
+    let result = new PasswordPolicy().check("correct horse battery staple");
+    assert.equal(result.valid, true);
+    assert.equal(result.score, 4);
+    assert.deepEqual(result.reasons, []);
+});
+
+test("policy rejects a common word decorated with capitals, digits and symbols", () => {
+    let result = new PasswordPolicy().check("Password1!");
+    assert.equal(result.valid, false);
+    assert.ok(codes(result).includes("COMPLEXITY_THEATER"));
+    assert.ok(codes(result).includes("WEAK"));
+});
+
+test("policy rejects common passwords, leet included", () => {
+    let policy = new PasswordPolicy({ minLength: 1 });
+    assert.ok(codes(policy.check("password")).includes("COMMON"));
+    assert.ok(codes(policy.check("p@55w0rd")).includes("COMMON"));
+});
+
+test("policy finds keyboard walks, sequences and repeats", () => {
+    let policy = new PasswordPolicy();
+    assert.deepEqual(codes(policy.check("qwertyuiop")), ["WEAK", "KEYBOARD"]);
+    assert.deepEqual(codes(policy.check("abcdefgh")), ["WEAK", "SEQUENCE"]);
+    assert.deepEqual(codes(policy.check("aaaaaaaaaa")), ["WEAK", "REPEAT"]);
+});
+
+test("policy rejects words of the user and of the service", () => {
+    assert.ok(codes(new PasswordPolicy().check("jsmith!2024", { username: "jsmith" })).includes("CONTEXT"));
+    assert.ok(codes(new PasswordPolicy({ context: ["acme"] }).check("ACME2024!x")).includes("CONTEXT"));
+});
+
+test("policy counts length in code points", () => {
+    let policy = new PasswordPolicy();
+    assert.ok(!codes(policy.check("\u{1F600}".repeat(8))).includes("TOO_SHORT"));
+    assert.ok(codes(policy.check("\u{1F600}".repeat(7))).includes("TOO_SHORT"));
+});
+
+test("policy rejects passwords over maxLength without estimating them", () => {
+    let result = new PasswordPolicy().check("x".repeat(65));
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result), ["TOO_LONG"]);
+    assert.equal(new PasswordPolicy().check("Zq8#vLm2!pW".repeat(5) + "Zq8#vLm2!").valid, true);
+});
+
+test("policy scores the empty password 0", () => {
+    let { score, entropy, patterns } = new PasswordPolicy().estimate("");
+    assert.equal(score, 0);
+    assert.equal(entropy, 0);
+    assert.deepEqual(patterns, []);
+});
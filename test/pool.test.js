@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Pool = require("../pool");
+
+/**
+ * A task settled from outside, to hold a slot as long as a test needs.
+ * @return {{ task: function(): Promise, resolve: function(*), reject: function(Error), started: function(): boolean }} The task.
+ */
+const deferred = () => {
+    let started = false;
+    let settle = {};
+    let promise = new Promise((resolve, reject) => Object.assign(settle, { resolve, reject }));
+    return {
+        task: () => {
+            started = true;
+            return promise;
+        },
+        resolve: value => settle.resolve(value),
+        reject: e => settle.reject(e),
+        started: () => started
+    };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test("pool runs no more tasks at once than its concurrency", async () => {
+    let pool = new Pool({ concurrency: 2 });
+    let tasks = [deferred(), deferred(), deferred()];
+    let results = tasks.map((task, i) => pool.run(task.task).then(value => [i, value]));
+    await tick();
+
+    assert.deepEqual(tasks.map(task => task.started()), [true, true, false]);
+    assert.deepEqual(pool.stats(), { running: 2, queued: 1 });
+
+    tasks[1].resolve("b");
+    assert.deepEqual(await results[1], [1, "b"]);
+    await tick();
+    assert.equal(tasks[2].started(), true);
+
+    tasks[0].resolve("a");
+    tasks[2].resolve("c");
+    assert.deepEqual(await Promise.all(results), [[0, "a"], [1, "b"], [2, "c"]]);
+    assert.deepEqual(pool.stats(), { running: 0, queued: 0 });
+});
+
+test("pool rejects once its queue is full", async () => {
+    let pool = new Pool({ concurrency: 1, maxQueue: 1 });
+    let running = deferred();
+    let queued = deferred();
+    let first = pool.run(running.task);
+    let second = pool.run(queued.task);
+
+    await assert.rejects(pool.run(deferred().task), { code: "ERR_BACKEND_UNAVAILABLE" });
+    assert.deepEqual(pool.stats(), { running: 1, queued: 1 });
+
+    running.resolve(1);
+    queued.resolve(2);
+    assert.deepEqual(await Promise.all([first, second]), [1, 2]);
+});
+
+test("pool frees the slot of a task that fails", async () => {
+    let pool = new Pool({ concurrency: 1 });
+    let failing = deferred();
+    let next = deferred();
+    let first = pool.run(failing.task);
+    let second = pool.run(next.task);
+
+    failing.reject(new Error("failed"));
+    await assert.rejects(first, { message: "failed" });
+    await tick();
+    assert.equal(next.started(), true);
+    next.resolve("ok");
+    assert.equal(await second, "ok");
+
+    await assert.rejects(pool.run(() => {
+        throw new Error("thrown");
+    }), { message: "thrown" });
+    assert.deepEqual(pool.stats(), { running: 0, queued: 0 });
+});
+
+test("pool drops an aborted task from its queue, and never starts it", async () => {
+    let pool = new Pool({ concurrency: 1 });
+    let running = deferred();
+    let queued = deferred();
+    let controller = new AbortController();
+    let first = pool.run(running.task);
+    let second = pool.run(queued.task, controller.signal);
+
+    controller.abort(new Error("aborted"));
+    await assert.rejects(second, { message: "aborted" });
+    assert.deepEqual(pool.stats(), { running: 1, queued: 0 });
+
+    running.resolve(1);
+    assert.equal(await first, 1);
+    await tick();
+    assert.equal(queued.started(), false);
+});
+
+test("pool keeps the slot of an aborted running task until it settles", async () => {
+    let pool = new Pool({ concurrency: 1 });
+    let running = deferred();
+    let queued = deferred();
+    let controller = new AbortController();
+    let first = pool.run(running.task, controller.signal);
+    let second = pool.run(queued.task);
+    await tick();
+
+    controller.abort(new Error("aborted"));
+    await assert.rejects(first, { message: "aborted" });
+    await tick();
+    assert.equal(queued.started(), false);
+    assert.deepEqual(pool.stats(), { running: 1, queued: 1 });
+
+    running.resolve(1);
+    await tick();
+    assert.equal(queued.started(), true);
+    queued.resolve(2);
+    assert.equal(await second, 2);
+});
+
+test("pool does not start a task whose signal has aborted", async () => {
+    let pool = new Pool();
+    let task = deferred();
+    await assert.rejects(pool.run(task.task, AbortSignal.abort(new Error("aborted"))), { message: "aborted" });
+    assert.equal(task.started(), false);
+    assert.throws(() => new Pool({ concurrency: 0 }), { code: "ERR_CONFIGURATION" });
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const registry = require("../registry");
+const userCredentialProcessor = require("../index");
+
+const hashes = {
+    argon2: "$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$CTFhFdXPJO1aFaMaO6Mm5c8y7cJHAph8ArZWb2GRPPc",
+    bcrypt: "$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW",
+    pbkdf2: "$pbkdf2$i=1$c2FsdA$DGDID5YfDnHzqbUkr2ASBi/gN6Y",
+    scrypt: "$scrypt$ln=14,r=8,p=1$U29kaXVtQ2hsb3JpZGU$cCO9yzr9c0hGHAbNgf046/2o+7qQT44+qbVD9lRdofLVQylVYT8Pz2LUlwUkKpr55h6F3A1lHkDfzwF7RVdYhw"
+};
+
+test("registry detects the hashes of each built-in algorithm, whether or not argon2 has a backend", () => {
+    for (let algorithm of Object.keys(hashes)) {
+        assert.equal(registry.detect(hashes[algorithm]), algorithm);
+    }
+    assert.equal(registry.detect("$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5"), null);
+});
+
+test("registry inspects and audits hashes of algorithms other than argon2 without its backend", () => {
+    assert.equal(userCredentialProcessor.inspect(hashes.pbkdf2).algorithm, "pbkdf2");
+    assert.deepEqual(userCredentialProcessor.inspect(hashes.scrypt).params, { cost: 16384, blockSize: 8, parallelization: 1 });
+    assert.equal(userCredentialProcessor.audit(hashes.bcrypt).inspection.algorithm, "bcrypt");
+});
+
+test("registry reports the backend of bcrypt", () => {
+    assert.ok(["bcrypt", "bcryptjs"].includes(userCredentialProcessor.capabilities("bcrypt").backend));
+});
+
+test("registry registers algorithms, and detects their hashes", () => {
+    class Reversed {
+        static detect (stored) {
+            return typeof stored === "string" && stored.startsWith("$reversed$");
+        }
+
+        hash (password) {
+            return Promise.resolve(`$reversed$${ [...password].reverse().join("") }`);
+        }
+
+        compare (incoming, stored) {
+            return this.hash(incoming).then(hash => hash === stored);
+        }
+    }
+
+    userCredentialProcessor.register("reversed", Reversed);
+    assert.equal(registry.detect("$reversed$drowssap"), "reversed");
+    assert.deepEqual(userCredentialProcessor.capabilities("reversed"), {
+        needsRehash: false,
+        inspect: false,
+        phc: false,
+        pepper: [],
+        backend: null
+    });
+    assert.throws(() => userCredentialProcessor.register("re versed", Reversed), { code: "ERR_CONFIGURATION" });
+    assert.throws(() => registry.get("unknown"), { code: "ERR_UNSUPPORTED_ALGORITHM" });
+});
+
+test("processors of registered algorithms hash and compare", async () => {
+    class Reversed {
+        hash (password) {
+            return Promise.resolve(`$reversed$${ [...password].reverse().join("") }`);
+        }
+
+        compare (incoming, stored) {
+            return this.hash(incoming).then(hash => hash === stored);
+        }
+    }
+
+    userCredentialProcessor.register("reversed", Reversed, { detect: stored => stored.startsWith("$reversed$") });
+    const Processor = userCredentialProcessor({ reversed: true });
+    let processor = new Processor();
+    let stored = await processor.hash("password");
+    assert.equal(stored, "$reversed$drowssap");
+    assert.equal(await processor.compare("password", stored), true);
+    assert.equal(await processor.compare("passwore", stored), false);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const userCredentialProcessor = require("../index");
+const pepper = require("../pepper");
+const PBKDF2Processor = require("../PBKDF2");
+const ScryptProcessor = require("../scrypt");
+const BcryptProcessor = require("../bcrypt");
+
+const PBKDF2 = userCredentialProcessor({ PBKDF2: true });
+
+test("needsRehash of each algorithm tells weaker parameters apart", async () => {
+    let pbkdf2 = new PBKDF2Processor({ iterations: 2, format: "phc" });
+    let stored = await pbkdf2.hash("password");
+    assert.equal(pbkdf2.needsRehash(stored), false);
+    assert.equal(pbkdf2.needsRehash(stored, { iterations: 3 }), true);
+    assert.equal(pbkdf2.needsRehash(stored, { digest: "sha256" }), true);
+    assert.equal(pbkdf2.needsRehash(stored, { saltBytes: 64 }), true);
+    assert.equal(pbkdf2.needsRehash(stored, { iterations: 1 }), false);
+
+    let scrypt = new ScryptProcessor({ cost: 1024 });
+    stored = await scrypt.hash("password");
+    assert.equal(scrypt.needsRehash(stored), false);
+    assert.equal(scrypt.needsRehash(stored, { cost: 2048 }), true);
+    assert.equal(scrypt.needsRehash(stored, { blockSize: 16 }), true);
+    assert.equal(scrypt.needsRehash(stored, { parallelization: 2 }), true);
+
+    let bcrypt = new BcryptProcessor({ saltRounds: 4 });
+    stored = await bcrypt.hash("password");
+    assert.equal(bcrypt.needsRehash(stored), false);
+    assert.equal(bcrypt.needsRehash(stored, { saltRounds: 5 }), true);
+});
+
+test("needsRehash is always true for legacy hex blobs, which do not record their parameters", () => {
+    let legacy = "00000004000000404e61436cfdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640";
+    assert.equal(new ScryptProcessor().needsRehash(legacy), true);
+});
+
+test("verifyAndRehash rehashes after a parameter bump", async () => {
+    let stored = await new PBKDF2({ iterations: 1 }).hash("password");
+    let processor = new PBKDF2({ iterations: 2 });
+
+    let { valid, newHash } = await processor.verifyAndRehash("password", stored);
+    assert.equal(valid, true);
+    assert.equal(PBKDF2Processor.inspect(newHash).params.iterations, 2);
+    assert.equal(processor.needsRehash(newHash), false);
+    assert.equal(await processor.compare("password", newHash), true);
+
+    assert.deepEqual(await processor.verifyAndRehash("passwore", stored), { valid: false, newHash: null });
+    assert.deepEqual(await processor.verifyAndRehash("password", newHash), { valid: true, newHash: null });
+});
+
+test("verifyAndRehash moves hashes of another algorithm to the primary one", async () => {
+    const Processor = userCredentialProcessor({ PBKDF2: true, scrypt: true, primary: "scrypt" });
+    let processor = new Processor({ pbkdf2: { iterations: 1 }, scrypt: { cost: 1024 } });
+    let stored = await new PBKDF2Processor({ iterations: 1 }).hash("password");
+
+    let { valid, newHash } = await processor.verifyAndRehash("password", stored);
+    assert.equal(valid, true);
+    assert.equal(processor.detect(newHash), "scrypt");
+    assert.deepEqual(await processor.verifyAndRehash("password", newHash), { valid: true, newHash: null });
+});
+
+test("verifyAndRehash moves hashes to the current pepper key", async () => {
+    let keys = { "2019-01": "first secret", "2019-07": "second secret" };
+    let stored = await new PBKDF2({ iterations: 1, pepper: { keys, current: "2019-01" } }).hash("password");
+    let processor = new PBKDF2({ iterations: 1, pepper: { keys, current: "2019-07" } });
+
+    let { valid, newHash } = await processor.verifyAndRehash("password", stored);
+    assert.equal(valid, true);
+    assert.equal(pepper.unwrap(newHash).id, "2019-07");
+    assert.equal(userCredentialProcessor.needsPepperRotation(newHash, { keys, current: "2019-07" }), false);
+
+    let unpeppered = await new PBKDF2({ iterations: 1 }).hash("password");
+    ({ valid, newHash } = await processor.verifyAndRehash("password", unpeppered));
+    assert.equal(valid, true);
+    assert.equal(pepper.unwrap(newHash).id, "2019-07");
+});
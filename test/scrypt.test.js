@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ScryptProcessor = require("../scrypt");
+const { ParameterOutOfRangeError } = require("../errors");
+
+/**
+ * RFC 7914 N=1024, r=8, p=16, in the versioned hex blob, the legacy blob and as a PHC string.
+ */
+const rfc = {
+    hex: "8073630100000004000000400000040000000008000000104e61436cfdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640",
+    legacy: "00000004000000404e61436cfdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640",
+    phc: "$scrypt$ln=10,r=8,p=16$TmFDbA$/bq+HJ00cgB4VucZDQHp/nxq18vII3gw53N2Y0s3MWIurzDZLiKjiG/xCSedmDDaxyevuUqD7m2DYMvfoswGQA"
+};
+
+test("scrypt compares the RFC 7914 vector in every format", async () => {
+    let processor = new ScryptProcessor({ cost: 1024, blockSize: 8, parallelization: 16 });
+    for (let format of Object.keys(rfc)) {
+        assert.equal(await processor.compare("password", rfc[format]), true, format);
+        assert.equal(await processor.compare("passwore", rfc[format]), false, format);
+    }
+});
+
+test("scrypt decodes the parameters of hex blobs and PHC strings alike", () => {
+    let hex = ScryptProcessor.inspect(rfc.hex);
+    let phc = ScryptProcessor.inspect(rfc.phc);
+    assert.deepEqual(hex.params, { cost: 1024, blockSize: 8, parallelization: 16 });
+    assert.deepEqual(phc.params, hex.params);
+    assert.deepEqual([hex.saltBytes, hex.hashBytes], [4, 64]);
+    assert.deepEqual([phc.saltBytes, phc.hashBytes], [4, 64]);
+});
+
+test("scrypt compares passlib hashes whose cost needs more than maxmem", async () => {
+    let stored = "$scrypt$ln=16,r=8,p=1$cGFzc2xpYnNhbHRwYXNzbA$Se3DVtJUwgsOBe/nV77yXxz/2D36IplA8doY7cd+fGc";
+    assert.equal(await new ScryptProcessor().compare("password", stored), true);
+});
+
+test("scrypt rejects stored parameters needing more memory than compareMaxmem", async () => {
+    let passlib = "$scrypt$ln=16,r=8,p=1$cGFzc2xpYnNhbHRwYXNzbA$Se3DVtJUwgsOBe/nV77yXxz/2D36IplA8doY7cd+fGc";
+    let limited = new ScryptProcessor({ compareMaxmem: 32 * 1024 * 1024 });
+    await assert.rejects(limited.compare("password", passlib), ParameterOutOfRangeError);
+
+    let huge = passlib.replace("ln=16", "ln=24");
+    await assert.rejects(new ScryptProcessor().compare("password", huge), ParameterOutOfRangeError);
+});
+
+test("scrypt round-trips its hashes in both formats", async () => {
+    for (let format of ["hex", "phc"]) {
+        let processor = new ScryptProcessor({ cost: 1024, format });
+        let stored = await processor.hash("correct horse");
+        assert.equal(ScryptProcessor.detect(stored), true);
+        assert.equal(await processor.compare("correct horse", stored), true, format);
+        assert.equal(await processor.compare("correct horsE", stored), false, format);
+        assert.equal(processor.needsRehash(stored), false, format);
+        assert.equal(processor.needsRehash(stored, { cost: 2048 }), true, format);
+    }
+});
+
+test("scrypt rejects malformed hashes", async () => {
+    let processor = new ScryptProcessor({ cost: 1024 });
+    for (let malformed of ["", "8073630100000004", "$scrypt$ln=10,r=8,p=16$TmFDbA$", "$scrypt$ln=0,r=8,p=16$TmFDbA$TmFDbA", "$scrypt$ln=10,r=0,p=16$TmFDbA$TmFDbA", "zz"]) {
+        await assert.rejects(processor.compare("password", malformed), { code: "ERR_MALFORMED_HASH" }, malformed);
+    }
+});
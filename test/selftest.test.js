@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const userCredentialProcessor = require("../index");
+const { BackendUnavailableError } = require("../errors");
+
+/**
+ * A processor whose compare matches every password, as a broken backend might.
+ */
+class Broken {
+    hash (password) {
+        return Promise.resolve(`$broken$${ password }`);
+    }
+
+    compare () {
+        return Promise.resolve(true);
+    }
+}
+
+/**
+ * A processor whose compare throws.
+ */
+class Throwing {
+    hash (password) {
+        return Promise.resolve(`$throwing$${ password }`);
+    }
+
+    compare () {
+        return Promise.reject(Object.assign(new Error("Throwing: Comparing failed"), { code: "ERR_THROWING" }));
+    }
+}
+
+userCredentialProcessor.register("broken", Broken);
+userCredentialProcessor.register("throwing", Throwing);
+
+test("selfTest passes the known-answer vectors and round trips of the built-in algorithms", async () => {
+    let report = await userCredentialProcessor.selfTest({ algorithms: ["pbkdf2", "scrypt", "bcrypt"] });
+    assert.equal(report.passed, true, JSON.stringify(report));
+    assert.deepEqual(Object.keys(report.algorithms), ["pbkdf2", "scrypt", "bcrypt"]);
+    for (let algorithm of Object.keys(report.algorithms)) {
+        let { passed, duration, checks } = report.algorithms[algorithm];
+        assert.equal(passed, true);
+        assert.ok(duration >= 0);
+        assert.ok(checks.some(({ name }) => /^round trip /.test(name)), algorithm);
+        assert.ok(checks.length > 2, algorithm);
+    }
+});
+
+test("selfTest reports a failing check, and the error of a check that throws", async () => {
+    let report = await userCredentialProcessor.selfTest({ algorithms: ["pbkdf2", "broken", "throwing"] });
+    assert.equal(report.passed, false);
+    assert.equal(report.algorithms.pbkdf2.passed, true);
+    assert.equal(report.algorithms.broken.passed, false);
+    assert.deepEqual(report.algorithms.broken.checks.map(({ passed }) => passed), [true, false]);
+
+    let [, check] = report.algorithms.throwing.checks;
+    assert.equal(check.passed, false);
+    assert.equal(check.error, "ERR_THROWING");
+});
+
+test("selfTest rejects with the report when asked to throw on failure", async () => {
+    await assert.rejects(
+        userCredentialProcessor.selfTest({ algorithms: ["broken"], throwOnFailure: true }),
+        (e) => e instanceof BackendUnavailableError && e.report.algorithms.broken.passed === false
+    );
+    let report = await userCredentialProcessor.selfTest({ algorithms: ["pbkdf2"], throwOnFailure: true });
+    assert.equal(report.passed, true);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const TokenManager = require("../tokens");
+const MemoryTokenStore = require("../tokenstore");
+
+const keyring = (current, ...ids) => ({
+    current,
+    keys: Object.fromEntries([current, ...ids].map(id => [id, crypto.createHash("sha256").update(id).digest("base64")]))
+});
+
+test("tokens verify once, and only for their purpose", async () => {
+    let manager = new TokenManager({ keyring: keyring("k1") });
+    let { token, selector, expiresAt } = await manager.issue(42, { purpose: "reset", data: { email: "a@example.com" } });
+    assert.ok(token.startsWith(`${ selector }.`));
+    assert.ok(expiresAt > Date.now());
+
+    assert.equal((await manager.verify(token)).reason, "purpose");
+    let verified = await manager.verify(token, { purpose: "reset" });
+    assert.deepEqual(verified, { valid: true, reason: null, subject: 42, purpose: "reset", data: { email: "a@example.com" }, expiresAt });
+    assert.equal((await manager.verify(token, { purpose: "reset" })).reason, "unknown");
+});
+
+test("tokens are consumed by only one of concurrent verifies", async () => {
+    let manager = new TokenManager({ keyring: keyring("k1") });
+    let { token } = await manager.issue("user");
+    let results = await Promise.all(Array.from({ length: 5 }, () => manager.verify(token)));
+    assert.deepEqual(results.map(({ reason }) => reason).sort(), [null, "used", "used", "used", "used"]);
+});
+
+test("tokens that are not single-use verify again", async () => {
+    let manager = new TokenManager({ keyring: keyring("k1"), prefix: "ucp_", ttlMs: null });
+    let { token, expiresAt } = await manager.issue("user", { singleUse: false, purpose: "api" });
+    assert.ok(token.startsWith("ucp_"));
+    assert.equal(expiresAt, null);
+    assert.equal((await manager.verify(token, { purpose: "api" })).valid, true);
+    assert.equal((await manager.verify(token, { purpose: "api" })).valid, true);
+
+    assert.equal(await manager.revoke(token), true);
+    assert.equal((await manager.verify(token, { purpose: "api" })).reason, "unknown");
+});
+
+test("tokens tell malformed, unknown and mismatching tokens apart", async () => {
+    let manager = new TokenManager({ keyring: keyring("k1") });
+    let { token, selector } = await manager.issue("user");
+    let verifier = token.split(".")[1];
+    let tampered = `${ selector }.${ verifier[0] === "A" ? "B" : "A" }${ verifier.slice(1) }`;
+
+    for (let malformed of [undefined, "", "no-dot", `${ selector }.`, `${ selector }.a.b`, `${ selector }.a b`]) {
+        assert.equal((await manager.verify(malformed)).reason, "malformed", String(malformed));
+    }
+    assert.equal((await manager.verify(`x${ token }`)).reason, "unknown");
+    assert.equal((await manager.verify(tampered)).reason, "mismatch");
+    assert.equal((await manager.verify(token)).valid, true);
+});
+
+test("tokens expire, and are purged once expired", async () => {
+    let store = new MemoryTokenStore();
+    let manager = new TokenManager({ keyring: keyring("k1"), store, ttlMs: 1 });
+    let { token } = await manager.issue("user");
+    await manager.issue("other");
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal((await manager.verify(token)).reason, "expired");
+    assert.equal(store.records.size, 1);
+    assert.equal(await manager.purge(), 1);
+    assert.equal(store.records.size, 0);
+});
+
+test("tokens are revoked with the key they were made with", async () => {
+    let { token } = await new TokenManager({ keyring: keyring("k1") }).issue("user");
+    let store = new MemoryTokenStore();
+    let old = new TokenManager({ keyring: keyring("k1"), store });
+    let issued = await old.issue("user");
+
+    assert.equal((await new TokenManager({ keyring: keyring("k2", "k1"), store }).verify(issued.token)).valid, true);
+    issued = await old.issue("user");
+    assert.equal((await new TokenManager({ keyring: keyring("k2"), store }).verify(issued.token)).reason, "revoked");
+    assert.equal((await new TokenManager({ keyring: keyring("k2"), store }).verify(token)).reason, "unknown");
+});
+
+test("tokens reject invalid configuration", async () => {
+    assert.throws(() => new TokenManager(), { code: "ERR_CONFIGURATION" });
+    assert.throws(() => new TokenManager({ keyring: { current: "k1", keys: {} } }), { code: "ERR_CONFIGURATION" });
+    assert.throws(() => new TokenManager({ keyring: keyring("k1"), verifierBytes: 8 }), { code: "ERR_CONFIGURATION" });
+    assert.throws(() => new TokenManager({ keyring: keyring("k1"), prefix: "a.b" }), { code: "ERR_CONFIGURATION" });
+    assert.throws(() => new TokenManager({ keyring: keyring("k1"), store: {} }), { code: "ERR_CONFIGURATION" });
+
+    let manager = new TokenManager({ keyring: keyring("k1") });
+    await assert.rejects(manager.issue("user", { purpose: "a b" }), { code: "ERR_CONFIGURATION" });
+    await assert.rejects(manager.issue("user", { ttlMs: 0 }), { code: "ERR_CONFIGURATION" });
+});
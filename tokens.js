@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const pepper = require("./pepper");
+const MemoryTokenStore = require("./tokenstore");
+const { ConfigurationError } = require("./errors");
+
+/**
+ * One-time tokens, e.g. of password reset links, email verification and magic login,
+ * and long-lived API keys.
+ *
+ * A token is <prefix><selector>.<verifier>, both parts random and in base64url. The
+ * selector looks the token up; of the verifier, only an HMAC-SHA-256 is stored, keyed
+ * by a keyring of the format of pepper.js, so that a leaked table of tokens cannot be
+ * used. The verifier is high-entropy, so a fast keyed hash is enough, unlike passwords.
+ */
+
+const defaults = {
+    /**
+     * Lifetime of a token in milliseconds; null for tokens that never expire.
+     */
+    ttlMs: 60 * 60 * 1000,
+
+    selectorBytes: 12,
+
+    verifierBytes: 32,
+
+    /**
+     * Text put before every token, e.g. to tell API keys apart in logs and secret scanners.
+     */
+    prefix: ""
+};
+
+const base64url = (buffer) => buffer.toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+
+module.exports = class TokenManager {
+    /**
+     * Create a token manager by options supplied.
+     * @param {object} options - Configuration.
+     * @param {object} options.keyring - Keyring of the HMAC (refer to pepper.js); tokens are made with the current key,
+     * and removing a key revokes the tokens made with it.
+     * @param {object} [options.store] - Store of the records of tokens (refer to tokenstore.js); a MemoryTokenStore if not supplied.
+     * @param {?number} [options.ttlMs] - Lifetime of a token in milliseconds; an hour by default, null for no expiry.
+     * @param {number} [options.selectorBytes] - Random bytes of the selector; 12 by default.
+     * @param {number} [options.verifierBytes] - Random bytes of the verifier; 32 by default.
+     * @param {string} [options.prefix] - Text put before every token; none by default.
+     */
+    constructor (
+        options
+    ) {
+        let { store, ...tokenOptions } = options || {};
+        this.options = Object.assign({}, defaults, tokenOptions);
+        this.store = store || new MemoryTokenStore();
+
+        if (["insert", "find", "delete"].some(method => typeof this.store[method] !== "function")) {
+            throw new ConfigurationError("TokenManager: Store must have insert, find and delete");
+        }
+        let { keyring } = this.options;
+        if (!keyring || !keyring.keys || !Object.prototype.hasOwnProperty.call(keyring.keys, keyring.current)) {
+            throw new ConfigurationError("TokenManager: Keyring must have its current key");
+        }
+        if (!(this.options.selectorBytes >= 8 && this.options.verifierBytes >= 16)) {
+            throw new ConfigurationError("TokenManager: Selector must be at least 8 bytes, and verifier at least 16 bytes");
+        }
+        if (typeof this.options.prefix !== "string" || !/^[A-Za-z0-9_-]*$/.test(this.options.prefix)) {
+            throw new ConfigurationError("TokenManager: Prefix must consist of letters, digits, _ and -");
+        }
+    }
+
+    /**
+     * HMAC of a verifier, bound to its selector and purpose.
+     * @param {Buffer} key - Key.
+     * @param {string} purpose - Purpose.
+     * @param {string} selector - Selector.
+     * @param {string} verifier - Verifier.
+     * @return {Buffer} The HMAC.
+     */
+    static mac (key, purpose, selector, verifier) {
+        return crypto.createHmac("sha256", key).update(`${ purpose }\u0000${ selector }\u0000${ verifier }`).digest();
+    }
+
+    /**
+     * Split a token into its selector and verifier.
+     * @param {string} token - Token.
+     * @return {?{ selector: string, verifier: string }} The parts; null if it is not a token of this manager.
+     */
+    parse (token) {
+        let { prefix } = this.options;
+        if (typeof token !== "string" || !token.startsWith(prefix)) {
+            return null;
+        }
+
+        let matched = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)$/.exec(token.slice(prefix.length));
+        return matched ? { selector: matched[1], verifier: matched[2] } : null;
+    }
+
+    /**
+     * A promise for a new token.
+     *
+     * @promise TokenIssuingPromise
+     * @fulfill {{ token: string, selector: string, expiresAt: ?number }} The token, to be given to the user only; its selector,
+     * which may be shown, e.g. as the ID of an API key; and when it expires, in milliseconds since the epoch.
+     * @reject {Error} Invalid options, or error of the store.
+     *
+     * Issue a token to a subject.
+     * @param {string|number} subject - Whom the token is for, e.g. the ID of a user.
+     * @param {object} [options] - Optional options that overrides options supplied at constructor.
+     * @param {string} [options.purpose] - What the token is for, e.g. reset or verify-email; default by default.
+     * A token is only valid for its purpose.
+     * @param {?number} [options.ttlMs] - Lifetime of the token in milliseconds; null for no expiry.
+     * @param {boolean} [options.singleUse] - Whether the token is consumed by the first successful verify; true by default.
+     * @param {*} [options.data] - Data kept with the token, e.g. the email address being verified; not secret.
+     * @return {TokenIssuingPromise} A promise for the token.
+     */
+    issue (
+        subject,
+        options
+    ) {
+        let {
+            purpose = "default",
+            ttlMs = this.options.ttlMs,
+            singleUse = true,
+            data = null
+        } = options || {};
+
+        return new Promise(
+            async (resolve, reject) => {
+                let selector;
+                let verifier;
+                let expiresAt;
+                try {
+                    if (typeof purpose !== "string" || !/^[A-Za-z0-9_.:-]+$/.test(purpose)) {
+                        throw new ConfigurationError("TokenManager: Purpose must consist of letters, digits, _, -, . and :");
+                    }
+                    if (ttlMs !== null && !(ttlMs > 0)) {
+                        throw new ConfigurationError("TokenManager: ttlMs must be positive, or null");
+                    }
+
+                    let keyId = this.options.keyring.current;
+                    let createdAt = Date.now();
+                    selector = base64url(crypto.randomBytes(this.options.selectorBytes));
+                    verifier = base64url(crypto.randomBytes(this.options.verifierBytes));
+                    expiresAt = ttlMs === null ? null : createdAt + ttlMs;
+
+                    await this.store.insert({
+                        selector,
+                        hash: TokenManager.mac(pepper.key(this.options.keyring, keyId), purpose, selector, verifier).toString("hex"),
+                        keyId,
+                        purpose,
+                        subject,
+                        data,
+                        singleUse: !!singleUse,
+                        expiresAt,
+                        createdAt
+                    });
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                resolve({ token: `${ this.options.prefix }${ selector }.${ verifier }`, selector, expiresAt });
+            }
+        );
+    }
+
+    /**
+     * A promise for the result of verifying a token.
+     *
+     * @promise TokenVerifyingPromise
+     * @fulfill {{ valid: boolean, reason: ?string, subject: *, purpose: ?string, data: *, expiresAt: ?number }} Whether the token
+     * is valid, with its subject, purpose, data and expiry if so; otherwise why not, one of malformed, unknown, revoked,
+     * mismatch, purpose, expired and used, to be logged rather than shown.
+     * @reject {Error} Error of the store.
+     *
+     * Verify a token: its verifier is compared in constant time, and it has to be of the purpose
+     * expected and not expired. A single-use token is consumed; of concurrent verifies, only one
+     * succeeds. An expired token is removed.
+     * @param {string} token - Token presented.
+     * @param {object} [options] - Expectations.
+     * @param {string} [options.purpose] - Purpose expected; default by default.
+     * @return {TokenVerifyingPromise} A promise for the result.
+     */
+    verify (
+        token,
+        options
+    ) {
+        let { purpose = "default" } = options || {};
+        let invalid = reason => ({ valid: false, reason, subject: null, purpose: null, data: null, expiresAt: null });
+
+        return new Promise(
+            async (resolve, reject) => {
+                let result;
+                try {
+                    let parsed = this.parse(token);
+                    if (!parsed) {
+                        resolve(invalid("malformed"));
+                        return;
+                    }
+
+                    let { selector, verifier } = parsed;
+                    let record = await this.store.find(selector);
+                    let keyring = this.options.keyring;
+                    let keyId = record ? record.keyId : keyring.current;
+                    if (!Object.prototype.hasOwnProperty.call(keyring.keys, keyId)) {
+                        resolve(invalid("revoked"));
+                        return;
+                    }
+
+                    /**
+                     * The HMAC is taken for unknown selectors as well, so that they take as long
+                     */
+                    let expected = record ? Buffer.from(record.hash, "hex") : Buffer.alloc(32);
+                    let actual = TokenManager.mac(
+                        pepper.key(keyring, keyId),
+                        record ? record.purpose : purpose,
+                        selector,
+                        verifier
+                    );
+                    let matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+                    if (!record) {
+                        result = invalid("unknown");
+                    } else if (!matches) {
+                        result = invalid("mismatch");
+                    } else if (record.purpose !== purpose) {
+                        result = invalid("purpose");
+                    } else if (record.expiresAt !== null && record.expiresAt <= Date.now()) {
+                        await this.store.delete(selector);
+                        result = invalid("expired");
+                    } else if (record.singleUse && !await this.store.delete(selector)) {
+                        result = invalid("used");
+                    } else {
+                        result = {
+                            valid: true,
+                            reason: null,
+                            subject: record.subject,
+                            purpose: record.purpose,
+                            data: record.data,
+                            expiresAt: record.expiresAt
+                        };
+                    }
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+
+                resolve(result);
+            }
+        );
+    }
+
+    /**
+     * Revoke a token, e.g. an API key that has been leaked.
+     * @param {string} tokenOrSelector - The token, or its selector.
+     * @return {Promise<boolean>} A promise for whether a token was revoked.
+     */
+    revoke (tokenOrSelector) {
+        let parsed = this.parse(tokenOrSelector);
+        return this.store.delete(parsed ? parsed.selector : String(tokenOrSelector));
+    }
+
+    /**
+     * Remove the expired tokens from the store, if it supports purge.
+     * @return {Promise<number>} A promise for the count of tokens removed; 0 if the store does not support purge.
+     */
+    purge () {
+        if (typeof this.store.purge !== "function") {
+            return Promise.resolve(0);
+        }
+        return this.store.purge(Date.now());
+    }
+};
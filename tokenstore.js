@@ -0,0 +1,77 @@
+const { ConfigurationError } = require("./errors");
+
+/**
+ * Storage of one-time tokens (refer to tokens.js), in memory.
+ *
+ * It is the reference of the interface a store implements, e.g. over a database table
+ * keyed by selector. Every method returns a promise:
+ * - insert(record): add a record; rejects if its selector is taken
+ * - find(selector): the record of a selector; null if there is none
+ * - delete(selector): remove the record of a selector; true only for the call that removed
+ *   it, so that a single-use token is consumed once under concurrency. It has to be atomic,
+ *   e.g. DELETE ... WHERE selector = ? and the count of affected rows.
+ * - purge(now): remove the records expired by then, and count them; optional
+ * A record is { selector, hash, keyId, purpose, subject, data, singleUse, expiresAt, createdAt },
+ * expiresAt and createdAt in milliseconds since the epoch, expiresAt null if it never expires.
+ *
+ * Records live as long as the process; use it for tests and single-process services.
+ */
+module.exports = class MemoryTokenStore {
+    /**
+     * Create an empty store.
+     */
+    constructor () {
+        this.records = new Map();
+    }
+
+    /**
+     * Add a record.
+     * @param {object} record - Record of a token.
+     * @return {Promise} A promise settled once it is added; rejected if its selector is taken.
+     */
+    insert (record) {
+        if (this.records.has(record.selector)) {
+            return Promise.reject(new ConfigurationError("MemoryTokenStore: Selector is taken"));
+        }
+
+        this.records.set(record.selector, Object.assign({}, record));
+        return Promise.resolve();
+    }
+
+    /**
+     * Find the record of a selector.
+     * @param {string} selector - Selector.
+     * @return {Promise<?object>} A promise for a copy of the record; null if there is none.
+     */
+    find (selector) {
+        let record = this.records.get(selector);
+        return Promise.resolve(record ? Object.assign({}, record) : null);
+    }
+
+    /**
+     * Remove the record of a selector.
+     * @param {string} selector - Selector.
+     * @return {Promise<boolean>} A promise for whether this call removed it.
+     */
+    delete (selector) {
+        return Promise.resolve(this.records.delete(selector));
+    }
+
+    /**
+     * Remove the expired records.
+     * @param {number} now - Milliseconds since the epoch.
+     * @return {Promise<number>} A promise for the count of records removed.
+     */
+    purge (now) {
+        let count = 0;
+        this.records.forEach(
+            (record, selector) => {
+                if (record.expiresAt !== null && record.expiresAt <= now) {
+                    this.records.delete(selector);
+                    count += 1;
+                }
+            }
+        );
+        return Promise.resolve(count);
+    }
+};